@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+'use strict'
+
+const { readFileSync } = require('fs')
+const { pipeline } = require('stream/promises')
+const { parseArgs } = require('util')
+const { decrypt } = require('../lib/encryption')
+
+const usage = `Usage: pino-roll-decrypt [--key-file <path>] <file>...
+
+Decrypts log files encrypted by pino-roll, and writes their content to the standard output.
+The key is read from --key-file (raw or hex encoded), or from the PINO_ROLL_ENCRYPTION_KEY environment variable (hex encoded).
+`
+
+function readKey (keyFile) {
+  if (!keyFile) {
+    return process.env.PINO_ROLL_ENCRYPTION_KEY
+  }
+  const content = readFileSync(keyFile)
+  return content.length === 32 ? content : content.toString().trim()
+}
+
+async function main () {
+  const { values, positionals } = parseArgs({
+    options: {
+      'key-file': { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    },
+    allowPositionals: true
+  })
+  if (values.help || positionals.length === 0) {
+    process.stderr.write(usage)
+    process.exitCode = values.help ? 0 : 1
+    return
+  }
+  const key = readKey(values['key-file'])
+  if (!key) {
+    throw new Error('No key provided, use --key-file or PINO_ROLL_ENCRYPTION_KEY')
+  }
+  for (const file of positionals) {
+    await pipeline(await decrypt(file, { key }), process.stdout, { end: false })
+  }
+}
+
+main().catch((error) => {
+  process.stderr.write(`${error.message}\n`)
+  process.exitCode = 1
+})
@@ -0,0 +1,200 @@
+'use strict'
+
+const { createReadStream } = require('fs')
+const { mkdir, rename, copyFile, unlink, stat } = require('fs/promises')
+const { basename, dirname, join } = require('path')
+const { createHash, createHmac } = require('crypto')
+const http = require('http')
+const https = require('https')
+const { promisify } = require('util')
+
+const sleep = promisify(setTimeout)
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD'
+const REQUEST_TIMEOUT = 30000
+
+/**
+ * Creates an adapter moving rotated files into another folder.
+ * Files are archived under their name, a path relative to the log folder (such as '2026/10/19/app.1.log' with dirFormat).
+ */
+function fsArchive ({ dir }) {
+  if (typeof dir !== 'string' || dir.length === 0) {
+    throw new Error('archive.dir must be a non empty string')
+  }
+  return {
+    async archive (filePath, name = basename(filePath)) {
+      const target = join(dir, ...name.split('/'))
+      await mkdir(dirname(target), { recursive: true })
+      try {
+        await rename(filePath, target)
+      } catch (error) {
+        if (error.code !== 'EXDEV') {
+          throw error
+        }
+        // rename does not work across devices
+        await copyFile(filePath, target)
+        await unlink(filePath)
+      }
+      return target
+    }
+  }
+}
+
+/**
+ * Creates an adapter uploading rotated files to an S3-compatible storage with HTTP PUT.
+ * Requests are signed with AWS Signature Version 4 when credentials are provided, and fail when the storage is idle for `timeout` milliseconds.
+ */
+function s3Archive ({ endpoint, bucket, prefix = '', region = 'us-east-1', accessKeyId, secretAccessKey, sessionToken, timeout = REQUEST_TIMEOUT }) {
+  if (typeof endpoint !== 'string' || !/^https?:\/\//.test(endpoint)) {
+    throw new Error('archive.endpoint must be an http or https URL')
+  }
+  if (typeof bucket !== 'string' || bucket.length === 0) {
+    throw new Error('archive.bucket must be a non empty string')
+  }
+  if (Boolean(accessKeyId) !== Boolean(secretAccessKey)) {
+    throw new Error('archive.accessKeyId and archive.secretAccessKey must be provided together')
+  }
+  if (!(typeof timeout === 'number' && timeout > 0)) {
+    throw new Error('archive.timeout must be a number greater than 0')
+  }
+  return {
+    async archive (filePath, name = basename(filePath)) {
+      const url = new URL(endpoint)
+      const path = `${url.pathname.replace(/\/$/, '')}/${[bucket, ...`${prefix}${name}`.split('/')].map(encodeUriSegment).join('/')}`
+      const { size } = await stat(filePath)
+      const headers = {
+        host: url.host,
+        'content-length': String(size),
+        'content-type': 'application/octet-stream',
+        'x-amz-content-sha256': UNSIGNED_PAYLOAD,
+        'x-amz-date': toAmzDate(new Date())
+      }
+      if (sessionToken) {
+        headers['x-amz-security-token'] = sessionToken
+      }
+      if (accessKeyId) {
+        headers.authorization = signRequest({ method: 'PUT', path, headers, region, accessKeyId, secretAccessKey })
+      }
+      await put(new URL(path, url), headers, filePath, timeout)
+      return `${url.origin}${path}`
+    }
+  }
+}
+
+function put (url, headers, filePath, timeout) {
+  return new Promise((resolve, reject) => {
+    const request = (url.protocol === 'https:' ? https : http).request(url, { method: 'PUT', headers }, (response) => {
+      // consume response to free the socket
+      response.resume()
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve()
+        } else {
+          reject(new Error(`Failed to archive ${filePath}: ${response.statusCode} ${response.statusMessage}`))
+        }
+      })
+    })
+    request.on('error', reject)
+    request.setTimeout(timeout, () => {
+      request.destroy(new Error(`Failed to archive ${filePath}: no response within ${timeout}ms`))
+    })
+    const body = createReadStream(filePath)
+    body.on('error', (error) => request.destroy(error))
+    body.pipe(request)
+  })
+}
+
+// encodes like AWS expects: everything but unreserved characters
+function encodeUriSegment (segment) {
+  return encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+}
+
+function toAmzDate (date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '')
+}
+
+function hmac (key, value) {
+  return createHmac('sha256', key).update(value).digest()
+}
+
+/**
+ * Computes the AWS Signature Version 4 authorization header of a request without query string.
+ * Headers must be lowercased, and include `host`, `x-amz-date` and `x-amz-content-sha256`.
+ */
+function signRequest ({ method, path, headers, region, accessKeyId, secretAccessKey, service = 's3' }) {
+  const amzDate = headers['x-amz-date']
+  const day = amzDate.slice(0, 8)
+  const scope = `${day}/${region}/${service}/aws4_request`
+  const headerNames = Object.keys(headers).filter(name => name !== 'authorization').sort()
+  const signedHeaders = headerNames.join(';')
+  const canonicalRequest = [
+    method,
+    path,
+    '',
+    ...headerNames.map(name => `${name}:${String(headers[name]).trim()}`),
+    '',
+    signedHeaders,
+    headers['x-amz-content-sha256']
+  ].join('\n')
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    createHash('sha256').update(canonicalRequest).digest('hex')
+  ].join('\n')
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), service), 'aws4_request')
+  const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+}
+
+function validateArchiveOptions (archive) {
+  if (archive) {
+    if (typeof archive !== 'object') {
+      throw new Error('archive must be an object')
+    }
+    const { adapter } = archive
+    if (adapter !== 'fs' && adapter !== 's3' && typeof adapter?.archive !== 'function') {
+      throw new Error('archive.adapter must be \'fs\', \'s3\' or an object with an archive() function')
+    }
+    if (typeof archive.retries !== 'undefined' && !(Number.isInteger(archive.retries) && archive.retries >= 0)) {
+      throw new Error('archive.retries must be a positive integer')
+    }
+    if (typeof archive.retryDelay !== 'undefined' && !(typeof archive.retryDelay === 'number' && archive.retryDelay >= 0)) {
+      throw new Error('archive.retryDelay must be a positive number')
+    }
+  }
+}
+
+function createArchiver ({ adapter, retries = 3, retryDelay = 1000, ...adapterOptions }) {
+  if (adapter === 'fs') {
+    adapter = fsArchive(adapterOptions)
+  } else if (adapter === 's3') {
+    adapter = s3Archive(adapterOptions)
+  }
+  return {
+    /**
+     * Archives a file under the given name, retrying with exponential backoff on failure.
+     * Resolves with the archive location returned by the adapter.
+     */
+    async archive (filePath, name) {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await adapter.archive(filePath, name)
+        } catch (error) {
+          if (attempt >= retries) {
+            throw error
+          }
+          await sleep(retryDelay * 2 ** attempt)
+        }
+      }
+    }
+  }
+}
+
+module.exports = {
+  fsArchive,
+  s3Archive,
+  signRequest,
+  validateArchiveOptions,
+  createArchiver
+}
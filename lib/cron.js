@@ -0,0 +1,161 @@
+'use strict'
+
+const { TZDate } = require('@date-fns/tz')
+
+const MINUTE = 60 * 1000
+// an expression that does not match within this period is considered invalid (Feb 29th happens every 4 years)
+const SEARCH_LIMIT = 8 * 366 * 24 * 60 * MINUTE
+
+const fieldRanges = [
+  { min: 0, max: 59 }, // minute
+  { min: 0, max: 23 }, // hour
+  { min: 1, max: 31 }, // day of month
+  { min: 1, max: 12 }, // month
+  { min: 0, max: 7 } // day of week, 0 and 7 are Sunday
+]
+
+function isCronExpression (expression) {
+  return typeof expression === 'string' && expression.trim().split(/\s+/).length === fieldRanges.length
+}
+
+/**
+ * Parses a 5 fields cron expression (minute hour day-of-month month day-of-week).
+ * Supports wildcards, values, ranges, lists and steps, such as '0 2 * * *' or '*\/15 8-18 * * 1-5'.
+ */
+function parseCron (expression) {
+  const fields = expression.trim().split(/\s+/)
+  if (fields.length !== fieldRanges.length) {
+    throw new Error(`${expression} is not a valid cron expression`)
+  }
+  const [minutes, hours, days, months, weekDays] = fields.map((field, i) => parseField(field, fieldRanges[i], expression))
+  if (weekDays.has(7)) {
+    weekDays.add(0)
+  }
+  const cron = {
+    expression,
+    minutes,
+    hours,
+    days,
+    months,
+    weekDays,
+    anyHour: fields[1].startsWith('*'),
+    anyDay: fields[2].startsWith('*'),
+    anyWeekDay: fields[4].startsWith('*')
+  }
+  // rejects expressions that never match, like February 30th
+  getCronNext(cron, Date.now())
+  return cron
+}
+
+function parseField (field, { min, max }, expression) {
+  const values = new Set()
+  for (const part of field.split(',')) {
+    const match = part.match(/^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/)
+    if (!match) {
+      throw new Error(`${expression} is not a valid cron expression`)
+    }
+    let start = min
+    let end = max
+    if (match[1] !== undefined) {
+      start = +match[1]
+      end = match[2] !== undefined ? +match[2] : match[3] !== undefined ? max : start
+    }
+    const step = match[3] !== undefined ? +match[3] : 1
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`${expression} is not a valid cron expression`)
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value)
+    }
+  }
+  return values
+}
+
+function createDate (time, timezone) {
+  return timezone ? new TZDate(time, timezone) : new Date(time)
+}
+
+function matchesDay (cron, date) {
+  const dayMatches = cron.days.has(date.getDate())
+  const weekDayMatches = cron.weekDays.has(date.getDay())
+  // like in Vixie cron, when both day fields are restricted, either can match
+  if (cron.anyDay) return weekDayMatches
+  if (cron.anyWeekDay) return dayMatches
+  return dayMatches || weekDayMatches
+}
+
+function getOffset (time, timezone) {
+  return createDate(time, timezone).getTimezoneOffset()
+}
+
+/**
+ * Checks if the wall-clock time of a date already happened, when clocks went back (DST fall back)
+ */
+function isRepeatedTime (time, timezone) {
+  const offset = getOffset(time, timezone)
+  const previousOffset = getOffset(time - 3 * 60 * MINUTE, timezone)
+  if (offset <= previousOffset) return false
+  // the same wall-clock time, before clocks went back
+  return getOffset(time - (offset - previousOffset) * MINUTE, timezone) === previousOffset
+}
+
+/**
+ * Returns the first time, strictly after the given one, matching the cron expression
+ * in the given timezone (local time when not provided).
+ * Like in Vixie cron, expressions with fixed hours do not match twice when clocks go back.
+ */
+function getCronNext (cron, time, timezone) {
+  const date = createDate(time - time % MINUTE + MINUTE, timezone)
+  const limit = time + SEARCH_LIMIT
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1)
+      date.setHours(0, 0, 0, 0)
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1)
+      date.setHours(0, 0, 0, 0)
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0)
+    } else if (!cron.minutes.has(date.getMinutes()) || (!cron.anyHour && isRepeatedTime(date.getTime(), timezone))) {
+      date.setTime(date.getTime() + MINUTE)
+    } else {
+      return date.getTime()
+    }
+  }
+  throw new Error(`${cron.expression} is not a valid cron expression`)
+}
+
+/**
+ * Returns the last time, before or equal to the given one, matching the cron expression
+ * in the given timezone (local time when not provided)
+ */
+function getCronPrevious (cron, time, timezone) {
+  const date = createDate(time - time % MINUTE, timezone)
+  const limit = time - SEARCH_LIMIT
+  while (date.getTime() >= limit) {
+    // always move backward in absolute time, to be safe across DST transitions
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setDate(1)
+      date.setHours(0, 0, 0, 0)
+      date.setTime(date.getTime() - MINUTE)
+    } else if (!matchesDay(cron, date)) {
+      date.setHours(0, 0, 0, 0)
+      date.setTime(date.getTime() - MINUTE)
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setMinutes(0, 0, 0)
+      date.setTime(date.getTime() - MINUTE)
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setTime(date.getTime() - MINUTE)
+    } else {
+      return date.getTime()
+    }
+  }
+  throw new Error(`${cron.expression} is not a valid cron expression`)
+}
+
+module.exports = {
+  isCronExpression,
+  parseCron,
+  getCronNext,
+  getCronPrevious
+}
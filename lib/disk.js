@@ -0,0 +1,92 @@
+'use strict'
+
+const fs = require('fs/promises')
+const { parseSize } = require('./utils')
+
+const CHECK_INTERVAL = 10000
+// paused writes kept in memory, above which writes are dropped
+const MAX_PAUSED_SIZE = '16m'
+
+/**
+ * Parses the minFreeSpace option: a size ('500m') or a percentage of the volume ('10%'),
+ * or an object with it as `size`, along with the emergency cleanup and low disk settings.
+ */
+function parseMinFreeSpace (minFreeSpace) {
+  if (typeof minFreeSpace === 'undefined' || minFreeSpace === null || minFreeSpace === false) {
+    return null
+  }
+  const {
+    size,
+    keep = 1,
+    action = 'none',
+    interval = CHECK_INTERVAL,
+    maxPausedSize = MAX_PAUSED_SIZE
+  } = typeof minFreeSpace === 'object' ? minFreeSpace : { size: minFreeSpace }
+  let bytes = null
+  let percent = null
+  if (typeof size === 'string' && size.endsWith('%')) {
+    percent = Number(size.slice(0, -1))
+    if (!(percent > 0 && percent <= 100)) {
+      throw new Error(`${size} is not a valid percentage`)
+    }
+  } else {
+    bytes = parseSize(size)
+    if (!(bytes > 0)) {
+      throw new Error('minFreeSpace must be a size or a percentage greater than 0')
+    }
+  }
+  if (!(Number.isInteger(keep) && keep >= 0)) {
+    throw new Error('minFreeSpace.keep must be a positive integer')
+  }
+  if (!['none', 'pause', 'drop'].includes(action)) {
+    throw new Error('minFreeSpace.action must be \'none\', \'pause\' or \'drop\'')
+  }
+  if (!(typeof interval === 'number' && interval > 0)) {
+    throw new Error('minFreeSpace.interval must be a number greater than 0')
+  }
+  const maxPausedBytes = parseSize(maxPausedSize)
+  if (!(maxPausedBytes > 0)) {
+    throw new Error('minFreeSpace.maxPausedSize must be a size greater than 0')
+  }
+  return { bytes, percent, keep, action, interval, maxPausedSize: maxPausedBytes }
+}
+
+/**
+ * Returns the space available in the folder's volume, and the minimum expected, in bytes
+ */
+async function getFreeSpace (folder, { bytes, percent }) {
+  const { bavail, blocks, bsize } = await fs.statfs(folder)
+  const freeSpace = bavail * bsize
+  const minFreeSpace = percent === null ? bytes : blocks * bsize * percent / 100
+  return { freeSpace, minFreeSpace, isLow: freeSpace < minFreeSpace }
+}
+
+/**
+ * Removes the oldest files until there is enough free space, always keeping the `keep` most recent ones.
+ * Files must be given oldest first.
+ */
+async function removeFilesForSpace (folder, spec, fileNames) {
+  let space = await getFreeSpace(folder, spec)
+  const removedFiles = []
+  for (const fileName of fileNames.slice(0, Math.max(fileNames.length - spec.keep, 0))) {
+    if (!space.isLow) {
+      break
+    }
+    try {
+      await fs.unlink(fileName)
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error
+      }
+    }
+    removedFiles.push(fileName)
+    space = await getFreeSpace(folder, spec)
+  }
+  return { ...space, removedFiles }
+}
+
+module.exports = {
+  parseMinFreeSpace,
+  getFreeSpace,
+  removeFilesForSpace
+}
@@ -0,0 +1,157 @@
+'use strict'
+
+const { createReadStream, createWriteStream } = require('fs')
+const { open } = require('fs/promises')
+const { createCipheriv, createDecipheriv, randomBytes } = require('crypto')
+const { Readable, pipeline: pipelineCallback } = require('stream')
+const { pipeline } = require('stream/promises')
+const { createGunzip, createBrotliDecompress } = require('zlib')
+const { encryptExtension, unlinkWithRetry } = require('./utils')
+
+const ALGORITHM = 'aes-256-gcm'
+// encrypted files start with this marker and the initialization vector, and end with the authentication tag
+const MAGIC = Buffer.from('PRE1')
+// files encrypted with a key id start with this marker, then the id length (one byte) and the id, before the initialization vector
+const KEY_ID_MAGIC = Buffer.from('PRE2')
+const MAX_KEY_ID_LENGTH = 255
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+const MAX_HEADER_LENGTH = KEY_ID_MAGIC.length + 1 + MAX_KEY_ID_LENGTH + IV_LENGTH
+
+function validateEncryption (encryption) {
+  if (typeof encryption === 'undefined') return
+  if (typeof encryption !== 'object' || encryption === null) {
+    throw new Error('encryption must be an object')
+  }
+  if (typeof encryption.key !== 'function') {
+    parseKey(encryption.key)
+  }
+}
+
+// keys are 32 bytes buffers, or their hex encoding
+function parseKey (key) {
+  if (typeof key === 'string' && /^[0-9a-fA-F]{64}$/.test(key)) {
+    return Buffer.from(key, 'hex')
+  }
+  if (Buffer.isBuffer(key) && key.length === 32) {
+    return key
+  }
+  throw new Error('encryption.key must be a 32 bytes Buffer, a 64 characters hex string or a function')
+}
+
+function parseKeyId (id) {
+  if (typeof id !== 'string' || id.length === 0 || Buffer.byteLength(id) > MAX_KEY_ID_LENGTH) {
+    throw new Error(`encryption key id must be a string of 1 to ${MAX_KEY_ID_LENGTH} bytes`)
+  }
+  return id
+}
+
+// key providers are called with the key id of the file to decrypt, and may resolve with { id, key }
+async function resolveKey (key, keyId = null) {
+  const resolved = typeof key === 'function' ? await key(keyId) : key
+  if (typeof resolved === 'object' && resolved !== null && !Buffer.isBuffer(resolved)) {
+    return { id: parseKeyId(resolved.id), key: parseKey(resolved.key) }
+  }
+  return { id: null, key: parseKey(resolved) }
+}
+
+/**
+ * Encrypts a rotated file next to it with AES-256-GCM, and removes the original once done.
+ * The key may be provided by a function, called for each file. When it resolves with `{ id, key }`,
+ * the key id is written into the file, for decrypt() to pass it back.
+ * Resolves with the encrypted file name.
+ */
+async function encryptFile (fileName, key) {
+  const encryptedFileName = `${fileName}${encryptExtension}`
+  const iv = randomBytes(IV_LENGTH)
+  const { id, key: cipherKey } = await resolveKey(key)
+  const cipher = createCipheriv(ALGORITHM, cipherKey, iv)
+  const idBuffer = id === null ? null : Buffer.from(id)
+  const header = idBuffer
+    ? Buffer.concat([KEY_ID_MAGIC, Buffer.from([idBuffer.length]), idBuffer, iv])
+    : Buffer.concat([MAGIC, iv])
+  await pipeline(
+    createReadStream(fileName),
+    async function * (source) {
+      yield header
+      for await (const chunk of source) {
+        yield cipher.update(chunk)
+      }
+      yield cipher.final()
+      yield cipher.getAuthTag()
+    },
+    createWriteStream(encryptedFileName)
+  )
+  await unlinkWithRetry(fileName)
+  return encryptedFileName
+}
+
+/**
+ * Reads the header of an encrypted file: its length, key id (or null) and initialization vector.
+ * Returns null when the file is not an encrypted log file.
+ */
+function parseHeader (buffer) {
+  let ivStart = MAGIC.length
+  let keyId = null
+  const marker = buffer.subarray(0, MAGIC.length)
+  if (marker.equals(KEY_ID_MAGIC) && buffer.length > MAGIC.length) {
+    ivStart = MAGIC.length + 1 + buffer[MAGIC.length]
+    keyId = buffer.toString('utf8', MAGIC.length + 1, ivStart)
+  } else if (!marker.equals(MAGIC)) {
+    return null
+  }
+  const length = ivStart + IV_LENGTH
+  if (buffer.length < length) {
+    return null
+  }
+  return { length, keyId, iv: buffer.subarray(ivStart, length) }
+}
+
+/**
+ * Reads an encrypted file back, decompressing its content when needed.
+ * Resolves with a readable stream, which errors at its end when the file was modified.
+ *
+ * @param {string} filePath - path of the encrypted file.
+ * @param {{ key: Buffer|string|function }} options - key used to encrypt the file. Functions are called with the key id of the file, or null.
+ * @returns {Promise<import('stream').Readable>} the decrypted content.
+ */
+async function decrypt (filePath, { key } = {}) {
+  const handle = await open(filePath)
+  let buffer
+  let tag
+  let size
+  try {
+    size = (await handle.stat()).size
+    buffer = Buffer.alloc(Math.max(Math.min(size - TAG_LENGTH, MAX_HEADER_LENGTH), 0))
+    tag = Buffer.alloc(TAG_LENGTH)
+    await handle.read(buffer, 0, buffer.length, 0)
+    await handle.read(tag, 0, TAG_LENGTH, size - TAG_LENGTH)
+  } finally {
+    await handle.close()
+  }
+  const header = parseHeader(buffer)
+  if (!header) {
+    throw new Error(`${filePath} is not an encrypted log file`)
+  }
+  const decipher = createDecipheriv(ALGORITHM, (await resolveKey(key, header.keyId)).key, header.iv)
+  decipher.setAuthTag(tag)
+  const streams = [
+    size === header.length + TAG_LENGTH
+      ? Readable.from([])
+      : createReadStream(filePath, { start: header.length, end: size - TAG_LENGTH - 1 }),
+    decipher
+  ]
+  if (filePath.endsWith(`.gz${encryptExtension}`)) {
+    streams.push(createGunzip())
+  } else if (filePath.endsWith(`.br${encryptExtension}`)) {
+    streams.push(createBrotliDecompress())
+  }
+  // returns the last stream, which is destroyed with the error of any stream
+  return pipelineCallback(...streams, () => {})
+}
+
+module.exports = {
+  validateEncryption,
+  encryptFile,
+  decrypt
+}
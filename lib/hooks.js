@@ -0,0 +1,68 @@
+'use strict'
+
+const { execFile } = require('child_process')
+const { promisify } = require('util')
+const { parseDuration } = require('./utils')
+
+const execFileAsync = promisify(execFile)
+
+const POST_ROTATE_TIMEOUT = 60 * 1000
+
+/**
+ * Checks the hooks, and parses the delay after which they are considered failed, so later background work goes on.
+ */
+function parsePostRotate (onRotate, postRotateCommand, postRotateTimeout = POST_ROTATE_TIMEOUT) {
+  if (typeof onRotate !== 'undefined' && typeof onRotate !== 'function') {
+    throw new Error('onRotate must be a function')
+  }
+  if (typeof postRotateCommand !== 'undefined') {
+    const command = Array.isArray(postRotateCommand) ? postRotateCommand : [postRotateCommand]
+    if (command.length === 0 || command.some(part => typeof part !== 'string' || part.length === 0)) {
+      throw new Error('postRotateCommand must be a non empty string or an array of non empty strings')
+    }
+  }
+  const timeout = parseDuration(postRotateTimeout)
+  if (!(timeout > 0)) {
+    throw new Error('postRotateTimeout must be a duration greater than 0')
+  }
+  return { timeout }
+}
+
+/**
+ * Calls onRotate, rejecting when it did not settle within the timeout.
+ */
+async function runOnRotate (onRotate, context, timeout) {
+  let timer
+  try {
+    await Promise.race([
+      onRotate(context),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`onRotate timed out after ${timeout}ms`)), timeout).unref()
+      })
+    ])
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * Runs the command with the rotated file as last argument, without shell.
+ * Rejects when the command fails or exits with a non-zero code, and kills it after the timeout.
+ */
+async function runPostRotateCommand (postRotateCommand, rotatedFile, timeout = POST_ROTATE_TIMEOUT) {
+  const [command, ...args] = Array.isArray(postRotateCommand) ? postRotateCommand : [postRotateCommand]
+  try {
+    await execFileAsync(command, [...args, rotatedFile], { timeout, killSignal: 'SIGKILL' })
+  } catch (error) {
+    if (error.killed) {
+      throw new Error(`postRotateCommand timed out after ${timeout}ms`)
+    }
+    throw error
+  }
+}
+
+module.exports = {
+  parsePostRotate,
+  runOnRotate,
+  runPostRotateCommand
+}
@@ -0,0 +1,196 @@
+'use strict'
+
+const { createReadStream } = require('fs')
+const { readFile, writeFile, unlink } = require('fs/promises')
+const { createHash } = require('crypto')
+const { join } = require('path')
+const { pipeline } = require('stream/promises')
+const { createGunzip, createBrotliDecompress } = require('zlib')
+const {
+  getFileName,
+  extractFileName,
+  sanitizeFile,
+  validateFileName,
+  listLogFiles,
+  removeCompressExtension,
+  encryptExtension
+} = require('./utils')
+const { decrypt } = require('./encryption')
+
+const SIDECAR_EXTENSION = '.sha256'
+
+/**
+ * Parses the integrity option: true, or an object with `chain`.
+ */
+function parseIntegrity (integrity, shared) {
+  if (typeof integrity === 'undefined' || integrity === false) {
+    return null
+  }
+  if (shared) {
+    throw new Error('integrity can not be combined with shared')
+  }
+  if (integrity === true) {
+    return { chain: false }
+  }
+  if (typeof integrity !== 'object' || integrity === null) {
+    throw new Error('integrity must be a boolean or an object')
+  }
+  const { chain = false } = integrity
+  if (typeof chain !== 'boolean') {
+    throw new Error('integrity.chain must be a boolean')
+  }
+  return { chain }
+}
+
+// the checksum file of a log file, compressed or not
+function getSidecarFileName (fileName) {
+  return `${removeCompressExtension(fileName)}${SIDECAR_EXTENSION}`
+}
+
+/**
+ * Writes the checksum file, in the format of `sha256sum`. It names the rotated file and hashes its uncompressed, unencrypted content:
+ * `sha256sum -c` only checks it until the file is compressed or encrypted, verify() checks it afterwards.
+ */
+async function writeSidecar (fileName, hash) {
+  await writeFile(getSidecarFileName(fileName), `${hash}  ${extractFileName(fileName)}\n`)
+}
+
+/**
+ * Reads the hash of a checksum file. Resolves with null when missing or invalid.
+ */
+async function readSidecar (fileName) {
+  try {
+    const [hash] = (await readFile(getSidecarFileName(fileName), 'utf8')).split(' ')
+    return /^[0-9a-f]{64}$/.test(hash) ? hash : null
+  } catch {
+    return null
+  }
+}
+
+async function removeSidecars (fileNames) {
+  await Promise.allSettled(fileNames.map(fileName => unlink(getSidecarFileName(fileName))))
+}
+
+/**
+ * Computes the SHA-256 of a log file's content, decrypting and decompressing it if needed.
+ * Also returns its first line.
+ */
+async function hashLogFile (filePath, encryption) {
+  const hash = createHash('sha256')
+  let firstLine = ''
+  let isFirstLineComplete = false
+  const streams = []
+  if (filePath.endsWith(encryptExtension)) {
+    // decrypted content is decompressed
+    streams.push(await decrypt(filePath, encryption))
+  } else {
+    streams.push(createReadStream(filePath))
+    if (filePath.endsWith('.gz')) {
+      streams.push(createGunzip())
+    } else if (filePath.endsWith('.br')) {
+      streams.push(createBrotliDecompress())
+    }
+  }
+  await pipeline(...streams, async function (source) {
+    for await (const chunk of source) {
+      hash.update(chunk)
+      if (!isFirstLineComplete) {
+        const content = chunk.toString()
+        const index = content.indexOf('\n')
+        firstLine += index === -1 ? content : content.slice(0, index)
+        isFirstLineComplete = index !== -1
+      }
+    }
+  })
+  return { hash: hash.digest('hex'), firstLine }
+}
+
+// default header of chained files
+function createChainHeader ({ previousFile, previousHash }) {
+  return { previousFile: previousFile ? extractFileName(previousFile) : null, previousHash }
+}
+
+function parseChainHeader (line) {
+  try {
+    const header = JSON.parse(line)
+    return typeof header?.previousHash === 'string' || header?.previousHash === null ? header : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * @typedef {object} VerifyOptions
+ *
+ * @property {string} file - name of the log file, as given to build (only its name is used).
+ * @property {string} dateFormat? - date format used to build file names.
+ * @property {string} fileNamePattern? - pattern used to build file names.
+ * @property {string} timezone? - timezone used to build file names.
+ * @property {string} dirFormat? - format of dated folders, to check files of all periods.
+ * @property {boolean} chain? - when true, checks that each file's header contains the hash of the previous file.
+ * @property {{ key: Buffer|string|function }} encryption? - key used to encrypt files, required to verify encrypted files.
+ */
+
+/**
+ * @typedef {object} IntegrityBreak
+ *
+ * @property {string} file - path of the file.
+ * @property {'missing checksum'|'checksum mismatch'|'chain broken'} reason - what failed.
+ */
+
+/**
+ * @typedef {object} VerifyResult
+ *
+ * @property {boolean} valid - true when no break was found.
+ * @property {string[]} files - paths of checked files, oldest first.
+ * @property {IntegrityBreak[]} breaks - integrity breaks found.
+ */
+
+/**
+ * Checks the log files of a folder against their checksum files, and optionally their hash chain.
+ * The most recent file may be the one currently written, and is not expected to have a checksum file.
+ *
+ * @param {string} dir - folder of the log files.
+ * @param {VerifyOptions} options - to identify log files.
+ * @returns {Promise<VerifyResult>} the verification result.
+ */
+async function verify (dir, { file, dateFormat, dirFormat, fileNamePattern, timezone, chain = false, encryption } = {}) {
+  validateFileName(file)
+  const { file: baseFile, extension } = sanitizeFile(join(dir, extractFileName(getFileName(file))))
+  const files = await listLogFiles({ baseFile, dateFormat, extension, timezone, fileNamePattern, dirFormat })
+  const breaks = []
+  let previous = null
+  for (const [index, filePath] of files.entries()) {
+    const { hash, firstLine } = await hashLogFile(filePath, encryption)
+    const expectedHash = await readSidecar(filePath)
+    if (expectedHash === null) {
+      if (index !== files.length - 1) {
+        breaks.push({ file: filePath, reason: 'missing checksum' })
+      }
+    } else if (expectedHash !== hash) {
+      breaks.push({ file: filePath, reason: 'checksum mismatch' })
+    }
+    if (chain && previous) {
+      const header = parseChainHeader(firstLine)
+      // files removed by retention, or archived, leave gaps which can not be checked
+      const isNextFile = !header?.previousFile ||
+        removeCompressExtension(extractFileName(header.previousFile)) === removeCompressExtension(extractFileName(previous.filePath))
+      if (!header || (isNextFile && header.previousHash !== previous.hash)) {
+        breaks.push({ file: filePath, reason: 'chain broken' })
+      }
+    }
+    previous = { filePath, hash }
+  }
+  return { valid: breaks.length === 0, files, breaks }
+}
+
+module.exports = {
+  parseIntegrity,
+  getSidecarFileName,
+  writeSidecar,
+  readSidecar,
+  removeSidecars,
+  hashLogFile,
+  createChainHeader,
+  verify
+}
@@ -0,0 +1,137 @@
+'use strict'
+
+const { randomBytes } = require('crypto')
+const { link, open, readFile, rename, stat, unlink } = require('fs/promises')
+const { promisify } = require('util')
+
+const sleep = promisify(setTimeout)
+
+const STALE_TIMEOUT = 10000
+const ACQUIRE_TIMEOUT = 30000
+const RETRY_DELAY = 10
+
+function isProcessAlive (pid) {
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch (error) {
+    // EPERM: the process exists, but belongs to another user
+    return error.code === 'EPERM'
+  }
+}
+
+/**
+ * Returns the stats of a lock file left by a process that is gone, or not released in time, and null otherwise
+ */
+async function readStaleLock (lockFileName, staleTimeout) {
+  try {
+    const [content, lockStats] = await Promise.all([readFile(lockFileName, 'utf8'), stat(lockFileName)])
+    if (Date.now() - lockStats.mtimeMs > staleTimeout) {
+      return lockStats
+    }
+    const pid = parseInt(content, 10)
+    // an empty lock was just created, its pid is not written yet
+    return pid > 0 && !isProcessAlive(pid) ? lockStats : null
+  } catch {
+    // lock released meanwhile
+    return null
+  }
+}
+
+/**
+ * Checks if a lock file was left by a process that is gone, or was not released in time
+ */
+async function isStaleLock (lockFileName, staleTimeout) {
+  return Boolean(await readStaleLock(lockFileName, staleTimeout))
+}
+
+/**
+ * Removes a stale lock, unless another process replaced it meanwhile.
+ * The lock is renamed to a unique name first, so only one process takes over each stale lock.
+ */
+async function removeStaleLock (lockFileName, staleStats) {
+  const staleFileName = `${lockFileName}.${process.pid}-${randomBytes(4).toString('hex')}.stale`
+  try {
+    await rename(lockFileName, staleFileName)
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      // another process took over
+      return
+    }
+    throw error
+  }
+  try {
+    const { ino, mtimeMs } = await stat(staleFileName)
+    if (ino !== staleStats.ino || mtimeMs !== staleStats.mtimeMs) {
+      // another process took over, and this one renamed its new lock: put it back
+      await link(staleFileName, lockFileName).catch((error) => {
+        if (error.code !== 'EEXIST') {
+          throw error
+        }
+      })
+    }
+  } finally {
+    await unlink(staleFileName)
+  }
+}
+
+/**
+ * Creates a lock file exclusively, waiting while another process (or another stream) holds it.
+ * Stale locks are removed.
+ */
+async function acquireLock (lockFileName, { staleTimeout = STALE_TIMEOUT, timeout = ACQUIRE_TIMEOUT } = {}) {
+  const start = Date.now()
+  for (;;) {
+    try {
+      const handle = await open(lockFileName, 'wx')
+      try {
+        await handle.writeFile(String(process.pid))
+      } finally {
+        await handle.close()
+      }
+      return
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error
+      }
+    }
+    const staleStats = await readStaleLock(lockFileName, staleTimeout)
+    if (staleStats) {
+      await removeStaleLock(lockFileName, staleStats)
+      continue
+    }
+    if (Date.now() - start >= timeout) {
+      throw new Error(`Unable to acquire lock ${lockFileName}`)
+    }
+    await sleep(RETRY_DELAY)
+  }
+}
+
+async function releaseLock (lockFileName) {
+  try {
+    await unlink(lockFileName)
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error
+    }
+  }
+}
+
+/**
+ * Runs a function while holding the lock, and releases it once done
+ */
+async function withLock (lockFileName, fn, options) {
+  await acquireLock(lockFileName, options)
+  try {
+    return await fn()
+  } finally {
+    await releaseLock(lockFileName)
+  }
+}
+
+module.exports = {
+  acquireLock,
+  releaseLock,
+  withLock,
+  isStaleLock
+}
@@ -0,0 +1,90 @@
+'use strict'
+
+const ROLL_REASONS = ['startup', 'size', 'lines', 'frequency', 'manual']
+
+/**
+ * Counters of a destination, updated as it writes, rolls and removes files.
+ */
+function createMetrics (fileSize) {
+  return {
+    bytesWritten: 0,
+    rolls: Object.fromEntries(ROLL_REASONS.map(reason => [reason, 0])),
+    removedFiles: 0,
+    cleanupFailures: 0,
+    fileSize,
+    fileOpenedAt: Date.now()
+  }
+}
+
+/**
+ * Copies the counters, along with the current file and its age in milliseconds.
+ */
+function getStats ({ fileOpenedAt, rolls, ...metrics }, file) {
+  return { ...metrics, rolls: { ...rolls }, file, fileAge: Date.now() - fileOpenedAt }
+}
+
+function escapeLabel (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function formatLabels (labels) {
+  const entries = Object.entries(labels)
+  if (entries.length === 0) return ''
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+}
+
+/**
+ * Formats the stats of a stream in the Prometheus text format, or OpenMetrics.
+ * Routers (see `routes` and `partitionBy`) report each destination with a `route` (or `partition`) label.
+ *
+ * @param {import('sonic-boom')|import('stream').Writable} stream - stream returned by pino-roll.
+ * @param {object} options? - exporter options.
+ * @param {string} options.prefix? - prefix of metric names. Defaults to 'pino_roll'.
+ * @param {Object<string, string>} options.labels? - labels added to all samples.
+ * @param {boolean} options.openMetrics? - when true, follows the OpenMetrics format. Defaults to false.
+ * @returns {string} the metrics, one sample per line.
+ */
+function formatMetrics (stream, { prefix = 'pino_roll', labels = {}, openMetrics = false } = {}) {
+  let samples
+  if (stream.routes || stream.partitions) {
+    const labelName = stream.routes ? 'route' : 'partition'
+    const stats = stream.stats()
+    samples = [...(stats instanceof Map ? stats : Object.entries(stats))]
+      .map(([name, destinationStats]) => [{ ...labels, [labelName]: name ?? '' }, destinationStats])
+  } else {
+    samples = [[labels, stream.stats()]]
+  }
+
+  const families = [
+    ['bytes_written', 'counter', 'Bytes written into log files.', stats => stats.bytesWritten],
+    ['rolls', 'counter', 'Files rolled, by reason.', stats => Object.entries(stats.rolls).map(([reason, count]) => [{ reason }, count])],
+    ['cleanup_removed_files', 'counter', 'Rotated files removed by retention and free space cleanup.', stats => stats.removedFiles],
+    ['cleanup_failures', 'counter', 'Failed removals and cleanups.', stats => stats.cleanupFailures],
+    ['file_size_bytes', 'gauge', 'Size of the current file.', stats => stats.fileSize],
+    ['file_age_seconds', 'gauge', 'Time since the current file was opened.', stats => stats.fileAge / 1000]
+  ]
+  const lines = []
+  for (const [name, type, help, getValues] of families) {
+    const metricName = `${prefix}_${name}`
+    const sampleName = type === 'counter' ? `${metricName}_total` : metricName
+    // OpenMetrics describes counters without their suffix
+    const familyName = openMetrics ? metricName : sampleName
+    lines.push(`# HELP ${familyName} ${help}`, `# TYPE ${familyName} ${type}`)
+    for (const [sampleLabels, stats] of samples) {
+      const values = getValues(stats)
+      for (const [valueLabels, value] of Array.isArray(values) ? values : [[{}, values]]) {
+        lines.push(`${sampleName}${formatLabels({ ...sampleLabels, ...valueLabels })} ${value}`)
+      }
+    }
+  }
+  if (openMetrics) {
+    lines.push('# EOF')
+  }
+  return `${lines.join('\n')}\n`
+}
+
+module.exports = {
+  createMetrics,
+  getStats,
+  formatMetrics
+}
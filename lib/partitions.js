@@ -0,0 +1,162 @@
+'use strict'
+
+const { parseDuration, sanitizeFile } = require('./utils')
+const { createRouter, forwardEvents, endDestination } = require('./router')
+
+const MAX_OPEN = 100
+const IDLE_TIMEOUT = 10 * 60 * 1000
+// default file name pattern, given explicitly so numbering of a partition ignores files of others
+const DEFAULT_FILE_NAME_PATTERN = '{base}.{date}.{number}{ext}'
+
+/**
+ * Parses the partitionBy option: a field name or a function of the log object,
+ * or an object with it as `key`, along with the open destinations settings.
+ */
+function parsePartitionBy (partitionBy, { routes, stateFile, symlink } = {}) {
+  if (typeof partitionBy === 'undefined' || partitionBy === null) {
+    return null
+  }
+  const {
+    key,
+    maxOpen = MAX_OPEN,
+    idleTimeout = IDLE_TIMEOUT
+  } = typeof partitionBy === 'object' ? partitionBy : { key: partitionBy }
+  let getKey
+  if (typeof key === 'string' && key.length > 0) {
+    getKey = logObject => logObject?.[key]
+  } else if (typeof key === 'function') {
+    getKey = key
+  } else {
+    throw new Error('partitionBy must be a field name or a function')
+  }
+  if (!(Number.isInteger(maxOpen) && maxOpen > 0)) {
+    throw new Error('partitionBy.maxOpen must be an integer greater than 0')
+  }
+  const idleTimeoutMs = parseDuration(idleTimeout)
+  if (!(idleTimeoutMs >= 0)) {
+    throw new Error('partitionBy.idleTimeout must be a positive duration')
+  }
+  for (const [name, value] of Object.entries({ routes, stateFile, symlink })) {
+    if (value) {
+      throw new Error(`partitionBy can not be combined with ${name}`)
+    }
+  }
+  return { getKey, maxOpen, idleTimeout: idleTimeoutMs }
+}
+
+/**
+ * Computes the partition key of a log line, safe to use in file names.
+ * Returns null for lines without key, or which are not JSON.
+ */
+function getPartitionKey (line, getKey) {
+  let logObject
+  try {
+    logObject = JSON.parse(line)
+  } catch {
+    return null
+  }
+  const key = getKey(logObject)
+  if (typeof key === 'undefined' || key === null || key === '') {
+    return null
+  }
+  const safeKey = String(key).replace(/[^\w.-]/g, '_')
+  return /^\.+$/.test(safeKey) ? safeKey.replace(/\./g, '_') : safeKey
+}
+
+/**
+ * Builds the log file of a partition: the key is appended to the file name (`app.log` becomes `app-tenant.log`),
+ * unless file is a function, which is called with the key.
+ * Lines without key are written into the file itself.
+ */
+function getPartitionFile (file, key) {
+  if (typeof file === 'function') {
+    return key === null ? file() : file(key)
+  }
+  if (key === null) {
+    return file
+  }
+  const { file: baseFile, extension } = sanitizeFile(file)
+  return `${baseFile}-${key}.${extension}`
+}
+
+/**
+ * Creates a stream writing each line into the destination of its partition, built upon the first line.
+ * Least recently used destinations are closed above `maxOpen`, and idle ones after `idleTimeout`.
+ *
+ * @param {{ getKey: function, maxOpen: number, idleTimeout: number }} partitionSpec - parsed partitionBy option.
+ * @param {function(string|null): Promise<import('sonic-boom')>} build - builds the destination of a partition key.
+ * @returns {import('stream').Writable} the router.
+ */
+function createPartitionRouter ({ getKey, maxOpen, idleTimeout }, build) {
+  // open partitions, least recently used first
+  const partitions = new Map()
+  // partitions being closed, which must not be reopened before
+  const closing = new Map()
+
+  function closePartition (key) {
+    const { destination } = partitions.get(key)
+    partitions.delete(key)
+    const closed = endDestination(destination).then(() => {
+      if (closing.get(key) === closed) {
+        closing.delete(key)
+      }
+    })
+    closing.set(key, closed)
+  }
+
+  const router = createRouter({
+    async select (line) {
+      const key = getPartitionKey(line, getKey)
+      let partition = partitions.get(key)
+      if (partition) {
+        partitions.delete(key)
+      } else {
+        await closing.get(key)
+        partition = { destination: await build(key) }
+        forwardEvents(router, partition.destination, key)
+      }
+      partition.lastWrite = Date.now()
+      partitions.set(key, partition)
+      while (partitions.size > maxOpen) {
+        closePartition(partitions.keys().next().value)
+      }
+      return partition.destination
+    },
+    getDestinations: () => [...partitions.values()].map(({ destination }) => destination),
+    async close () {
+      clearInterval(idleInterval)
+      await Promise.all(closing.values())
+    }
+  })
+
+  const idleInterval = idleTimeout > 0
+    ? setInterval(() => {
+      const now = Date.now()
+      for (const [key, { lastWrite }] of partitions) {
+        if (now - lastWrite >= idleTimeout) {
+          closePartition(key)
+        }
+      }
+    }, Math.ceil(idleTimeout / 2)).unref()
+    : null
+
+  // open destinations by partition key
+  Object.defineProperty(router, 'partitions', {
+    get: () => new Map([...partitions].map(([key, { destination }]) => [key, destination]))
+  })
+
+  // stats of open partitions, by key
+  router.stats = () => new Map([...partitions].map(([key, { destination }]) => [key, destination.stats()]))
+
+  // destinations are opened upon their first line
+  setImmediate(() => router.emit('ready'))
+  return router
+}
+
+module.exports = {
+  DEFAULT_FILE_NAME_PATTERN,
+  parsePartitionBy,
+  getPartitionKey,
+  getPartitionFile,
+  createPartitionRouter
+}
@@ -0,0 +1,70 @@
+'use strict'
+
+const { createReadStream } = require('fs')
+const { createHash } = require('crypto')
+const { countLines } = require('./utils')
+
+function validateRecord (record, name) {
+  if (typeof record !== 'undefined' && typeof record !== 'string' && typeof record !== 'function') {
+    throw new Error(`${name} must be a string or a function`)
+  }
+}
+
+/**
+ * Checks header and footer. The footer is appended once the file is complete, which breaks the size limit of strictSize.
+ */
+function validateRecords (header, footer, shared, strictSize) {
+  validateRecord(header, 'header')
+  validateRecord(footer, 'footer')
+  if (footer && shared) {
+    throw new Error('footer can not be combined with shared')
+  }
+  if (footer && strictSize) {
+    throw new Error('footer can not be combined with strictSize')
+  }
+}
+
+/**
+ * Builds a header or footer record, from a string or a function called with the context.
+ * Objects returned by functions are serialized to JSON. Records always end with a newline.
+ */
+function formatRecord (record, context) {
+  let content = typeof record === 'function' ? record(context) : record
+  if (typeof content !== 'string') {
+    content = JSON.stringify(content)
+  }
+  return content.endsWith('\n') ? content : `${content}\n`
+}
+
+/**
+ * Lines, size and SHA-256 hash (to be digested) of a file's content, updated with the data written into it.
+ */
+function createFileStats () {
+  return { lines: 0, size: 0, hash: createHash('sha256') }
+}
+
+async function readFileStats (filePath) {
+  const stats = createFileStats()
+  try {
+    for await (const chunk of createReadStream(filePath)) {
+      updateFileStats(stats, chunk)
+    }
+  } catch {
+    // missing file
+  }
+  return stats
+}
+
+function updateFileStats (stats, data) {
+  stats.lines += countLines(data)
+  stats.size += Buffer.byteLength(data)
+  stats.hash.update(data)
+}
+
+module.exports = {
+  validateRecords,
+  formatRecord,
+  createFileStats,
+  readFileStats,
+  updateFileStats
+}
@@ -0,0 +1,114 @@
+'use strict'
+
+const { Writable } = require('stream')
+
+// events of destinations, re-emitted by routers with the route (or partition) name
+const ROUTED_EVENTS = ['roll', 'compress-complete', 'encrypt-complete', 'archive-complete', 'cleanup-complete', 'post-rotate-error', 'low-disk', 'error']
+
+/**
+ * Creates a stream writing each line into the destination selected for it.
+ *
+ * @param {object} options - router options.
+ * @param {function(string): import('sonic-boom')|Promise<import('sonic-boom')>|undefined} options.select - destination of a line, if any.
+ * @param {function(): Iterable<import('sonic-boom')>} options.getDestinations - destinations currently open.
+ * @param {function(): Promise<void>} options.close? - called before ending destinations, when the router ends.
+ * @returns {import('stream').Writable} the router, with `roll()`, `flush()` and `flushSync()` applied to all destinations.
+ */
+function createRouter ({ select, getDestinations, close = async () => {} }) {
+  let partialLine = ''
+
+  async function writeLines (lines) {
+    const drains = []
+    for (const line of lines) {
+      const destination = await select(line)
+      if (destination && !destination.write(line)) {
+        drains.push(waitForDrain(destination))
+      }
+    }
+    await Promise.all(drains)
+  }
+
+  const router = new Writable({
+    decodeStrings: false,
+    write (chunk, encoding, callback) {
+      const lines = (partialLine + chunk).split(/(?<=\n)/)
+      partialLine = lines[lines.length - 1].endsWith('\n') ? '' : lines.pop()
+      writeLines(lines).then(() => callback(), callback)
+    },
+    final (callback) {
+      const lines = partialLine ? [partialLine] : []
+      partialLine = ''
+      writeLines(lines)
+        .then(() => close())
+        .then(() => Promise.all([...getDestinations()].map(endDestination)))
+        .then(() => callback(), callback)
+    },
+    destroy (error, callback) {
+      for (const destination of getDestinations()) {
+        if (!destination.destroyed) destination.destroy()
+      }
+      close().then(() => callback(error), () => callback(error))
+    }
+  })
+
+  /**
+   * Rolls the current file of every destination.
+   *
+   * @returns {Promise<void>} resolved once all new files are opened.
+   */
+  router.roll = function () {
+    return Promise.all([...getDestinations()].map(destination => destination.roll())).then(() => {})
+  }
+
+  router.flush = function (callback) {
+    Promise.all([...getDestinations()].map(destination => new Promise((resolve, reject) => {
+      destination.flush(error => error ? reject(error) : resolve())
+    }))).then(() => callback?.(), error => callback?.(error))
+  }
+
+  router.flushSync = function () {
+    for (const destination of getDestinations()) {
+      destination.flushSync()
+    }
+  }
+
+  return router
+}
+
+function forwardEvents (router, destination, name) {
+  for (const event of ROUTED_EVENTS) {
+    destination.on(event, (payload) => router.emit(event, payload, name))
+  }
+}
+
+function waitForDrain (destination) {
+  return new Promise(resolve => {
+    function done () {
+      destination.off('drain', done)
+      destination.off('close', done)
+      resolve()
+    }
+    destination.on('drain', done)
+    destination.on('close', done)
+  })
+}
+
+/**
+ * Ends a destination, resolving once its file is closed.
+ */
+function endDestination (destination) {
+  return new Promise(resolve => {
+    if (destination.destroyed) {
+      resolve()
+      return
+    }
+    destination.once('close', resolve)
+    destination.end()
+  })
+}
+
+module.exports = {
+  createRouter,
+  forwardEvents,
+  endDestination
+}
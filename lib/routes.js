@@ -0,0 +1,83 @@
+'use strict'
+
+const { resolve } = require('path')
+const { getFileName } = require('./utils')
+const { createRouter, forwardEvents } = require('./router')
+
+// labels of pino's default levels, which routes are named after
+const LEVEL_LABELS = { 10: 'trace', 20: 'debug', 30: 'info', 40: 'warn', 50: 'error', 60: 'fatal' }
+const DEFAULT_ROUTE = 'default'
+
+/**
+ * Checks routes, which options override the shared ones. Two routes can not write into the same file, nor the same state file.
+ */
+function validateRoutes (routes, file, stateFile) {
+  if (typeof routes !== 'object' || routes === null || Array.isArray(routes) || Object.keys(routes).length === 0) {
+    throw new Error('routes must be a non empty object')
+  }
+  const routeNames = new Map()
+  const stateRouteNames = new Map()
+  for (const [name, route] of Object.entries(routes)) {
+    if (typeof route !== 'object' || route === null) {
+      throw new Error(`routes.${name} must be an object`)
+    }
+    const routeFile = route.file ?? file
+    if (typeof routeFile === 'string') {
+      const filePath = resolve(getFileName(routeFile))
+      if (routeNames.has(filePath)) {
+        throw new Error(`routes.${routeNames.get(filePath)} and routes.${name} can not write into the same file`)
+      }
+      routeNames.set(filePath, name)
+    }
+    const routeStateFile = route.stateFile ?? stateFile
+    if (typeof routeStateFile === 'string') {
+      const stateFilePath = resolve(routeStateFile)
+      if (stateRouteNames.has(stateFilePath)) {
+        throw new Error(`routes.${stateRouteNames.get(stateFilePath)} and routes.${name} can not write into the same stateFile`)
+      }
+      stateRouteNames.set(stateFilePath, name)
+    }
+  }
+}
+
+/**
+ * Extracts the level of a pino log line: a number, or a label when levels are formatted.
+ */
+function getLevel (line) {
+  const match = /"level":\s*(?:(\d+)|"([^"]*)")/.exec(line)
+  if (!match) return null
+  return match[1] ?? match[2]
+}
+
+/**
+ * Creates a stream writing each line into the destination of its level, or the default one.
+ * Routes are named after level labels (such as 'error'), or numbers for custom levels (such as '35').
+ * Lines without a matching route, nor a default route, are dropped.
+ *
+ * @param {Object<string, import('sonic-boom')>} destinations - destinations by route name.
+ * @param {Promise} ready - resolved once all destinations are opened.
+ * @returns {import('stream').Writable} the router.
+ */
+function createLevelRouter (destinations, ready) {
+  const router = createRouter({
+    select (line) {
+      const level = getLevel(line)
+      return destinations[LEVEL_LABELS[level] ?? level] ?? destinations[level] ?? destinations[DEFAULT_ROUTE]
+    },
+    getDestinations: () => Object.values(destinations)
+  })
+  for (const [name, destination] of Object.entries(destinations)) {
+    forwardEvents(router, destination, name)
+  }
+  ready.then(() => router.emit('ready'), () => {})
+  router.routes = destinations
+  // stats of each route
+  router.stats = () => Object.fromEntries(Object.entries(destinations).map(([name, destination]) => [name, destination.stats()]))
+  return router
+}
+
+module.exports = {
+  validateRoutes,
+  getLevel,
+  createLevelRouter
+}
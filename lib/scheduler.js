@@ -0,0 +1,65 @@
+'use strict'
+
+// longest delay of a timer: longer ones fire at once
+const MAX_DELAY = 2 ** 31 - 1
+
+/**
+ * Runs tasks at given times with a single timer, armed for the earliest one.
+ * Destinations built together (see `routes`) share a scheduler, so their rolls on frequency happen in one pass.
+ */
+function createScheduler () {
+  const tasks = new Set()
+  let timeout = null
+  let timeoutTime = null
+
+  function arm () {
+    let next = null
+    for (const task of tasks) {
+      if (next === null || task.time < next) {
+        next = task.time
+      }
+    }
+    if (next === timeoutTime) return
+    clearTimeout(timeout)
+    timeout = null
+    timeoutTime = next
+    if (next !== null) {
+      // far away tasks (such as monthly rolls) wait in several steps
+      timeout = setTimeout(run, Math.min(next - Date.now(), MAX_DELAY)).unref()
+    }
+  }
+
+  function run () {
+    timeout = null
+    timeoutTime = null
+    const now = Date.now()
+    const dueTasks = [...tasks].filter(task => task.time <= now)
+    for (const task of dueTasks) {
+      tasks.delete(task)
+    }
+    for (const task of dueTasks) {
+      task.run()
+    }
+    arm()
+  }
+
+  /**
+   * Runs the task at the given time (milliseconds since epoch). Returns a handle to cancel it.
+   */
+  function schedule (time, run) {
+    const task = { time, run }
+    tasks.add(task)
+    arm()
+    return task
+  }
+
+  function cancel (task) {
+    if (task && tasks.delete(task)) {
+      arm()
+    }
+  }
+
+  return { schedule, cancel }
+}
+
+module.exports = { createScheduler }
@@ -0,0 +1,54 @@
+'use strict'
+
+const { randomBytes } = require('crypto')
+const { readFile, writeFile, rename } = require('fs/promises')
+
+function validateStateFile (stateFile) {
+  if (typeof stateFile !== 'undefined' && (typeof stateFile !== 'string' || stateFile.length === 0)) {
+    throw new Error('stateFile must be a non empty string')
+  }
+}
+
+function isFileNameList (fileNames) {
+  return Array.isArray(fileNames) && fileNames.every(fileName => typeof fileName === 'string')
+}
+
+/**
+ * Reads the state persisted by a previous run.
+ * Resolves with null when the state file is missing or corrupt.
+ */
+async function readState (stateFile) {
+  let state
+  try {
+    state = JSON.parse(await readFile(stateFile, 'utf8'))
+  } catch {
+    return null
+  }
+  if (
+    typeof state?.fileName !== 'string' ||
+    !Number.isInteger(state.number) || state.number < 1 ||
+    (state.periodStart !== null && typeof state.periodStart !== 'number') ||
+    !isFileNameList(state.createdFileNames) ||
+    // states of previous versions have no pending archives
+    (typeof state.pendingArchives !== 'undefined' && !isFileNameList(state.pendingArchives))
+  ) {
+    return null
+  }
+  return state
+}
+
+/**
+ * Persists the state, writing a temporary file first so a crash never leaves a truncated state.
+ * Temporary files have unique names, as processes sharing a file may write the same state file.
+ */
+async function writeState (stateFile, { fileName, number, periodStart, createdFileNames, pendingArchives = [] }) {
+  const tempFile = `${stateFile}.${process.pid}-${randomBytes(4).toString('hex')}.tmp`
+  await writeFile(tempFile, JSON.stringify({ fileName, number, periodStart, createdFileNames, pendingArchives }))
+  await rename(tempFile, stateFile)
+}
+
+module.exports = {
+  validateStateFile,
+  readState,
+  writeState
+}
@@ -1,13 +1,40 @@
 'use strict'
 
-const { readdir, stat, unlink, symlink, lstat, readlink } = require('fs/promises')
-const { symlinkSync, unlinkSync, lstatSync, readlinkSync } = require('fs')
-const { dirname, join } = require('path')
-const { format, addDays, addHours, parse, isValid } = require('date-fns')
+const { readdir, stat, unlink, symlink, lstat, readlink, rmdir } = require('fs/promises')
+const { symlinkSync, unlinkSync, lstatSync, readlinkSync, mkdirSync, accessSync, constants, createReadStream, createWriteStream } = require('fs')
+const { dirname, join, relative, resolve } = require('path')
+const { pipeline } = require('stream/promises')
+const { createGzip, createBrotliCompress } = require('zlib')
+const { format, addMinutes, addDays, addHours, addWeeks, addMonths, startOfWeek, startOfMonth, parse, isValid } = require('date-fns')
+const { TZDate } = require('@date-fns/tz')
 const { promisify } = require('util')
+const { isCronExpression, parseCron, getCronNext, getCronPrevious } = require('./cron')
 
 const sleep = promisify(setTimeout)
 
+const durationMultipliers = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+}
+
+const compressExtensions = {
+  gzip: '.gz',
+  brotli: '.br'
+}
+
+const encryptExtension = '.enc'
+
+// extensions of rotated files, once compressed and/or encrypted
+const rotatedExtensions = [
+  ...Object.values(compressExtensions),
+  encryptExtension,
+  ...Object.values(compressExtensions).map(compressExtension => `${compressExtension}${encryptExtension}`)
+]
+
 function parseSize (size) {
   let multiplier = 1024 ** 2
   if (typeof size !== 'string' && typeof size !== 'number') {
@@ -26,15 +53,46 @@ function parseSize (size) {
   return size * multiplier
 }
 
-function parseFrequency (frequency) {
-  const today = new Date()
+function createDate (time, timezone) {
+  return timezone ? new TZDate(time, timezone) : new Date(time)
+}
+
+function validateTimezone (timezone) {
+  if (typeof timezone === 'undefined') return
+  try {
+    if (typeof timezone !== 'string') throw new TypeError()
+    Intl.DateTimeFormat(undefined, { timeZone: timezone })
+  } catch {
+    throw new Error(`${timezone} is not a valid timezone`)
+  }
+}
+
+function parseFrequency (frequency, timezone) {
+  const today = createDate(Date.now(), timezone)
+  if (frequency === 'monthly') {
+    const start = startOfMonth(today).getTime()
+    return { frequency, start, next: getNextMonth(start, timezone) }
+  }
+  if (frequency === 'weekly') {
+    const start = startOfWeek(today, { weekStartsOn: 1 }).getTime()
+    return { frequency, start, next: getNextWeek(start, timezone) }
+  }
   if (frequency === 'daily') {
     const start = today.setHours(0, 0, 0, 0)
-    return { frequency, start, next: getNextDay(start) }
+    return { frequency, start, next: getNextDay(start, timezone) }
   }
   if (frequency === 'hourly') {
     const start = today.setMinutes(0, 0, 0)
-    return { frequency, start, next: getNextHour(start) }
+    return { frequency, start, next: getNextHour(start, timezone) }
+  }
+  if (frequency === 'minutely') {
+    const start = today.setSeconds(0, 0)
+    return { frequency, start, next: getNextMinute(start, timezone) }
+  }
+  if (isCronExpression(frequency)) {
+    const cron = parseCron(frequency)
+    const time = today.getTime()
+    return { frequency, start: getCronPrevious(cron, time, timezone), next: getCronNext(cron, time, timezone) }
   }
   if (typeof frequency === 'number') {
     const start = today.getTime() - today.getTime() % frequency
@@ -46,12 +104,35 @@ function parseFrequency (frequency) {
   return null
 }
 
+function parseDuration (duration) {
+  if (typeof duration === 'number') {
+    return duration
+  }
+  const match = typeof duration === 'string' && duration.match(/^([\d.]+)(ms|s|m|h|d|w)?$/i)
+  if (!match) {
+    throw new Error(`${duration} is not a valid duration`)
+  }
+  const unit = match[2]?.toLowerCase() ?? 'ms'
+  return +match[1] * durationMultipliers[unit]
+}
+
 function validateLimitOptions (limit) {
   if (limit) {
     if (typeof limit !== 'object') {
       throw new Error('limit must be an object')
     }
-    if (typeof limit.count !== 'number' || limit.count <= 0) {
+    if (typeof limit.maxAge !== 'undefined') {
+      if (!(parseDuration(limit.maxAge) > 0)) {
+        throw new Error('limit.maxAge must be a duration greater than 0')
+      }
+    }
+    if (typeof limit.maxTotalSize !== 'undefined') {
+      if (!(parseSize(limit.maxTotalSize) > 0)) {
+        throw new Error('limit.maxTotalSize must be a size greater than 0')
+      }
+    }
+    if ((typeof limit.count !== 'undefined' || (typeof limit.maxAge === 'undefined' && typeof limit.maxTotalSize === 'undefined')) &&
+      (typeof limit.count !== 'number' || limit.count <= 0)) {
       throw new Error('limit.count must be a number greater than 0')
     }
     if (typeof limit.removeOtherLogFiles !== 'undefined' && typeof limit.removeOtherLogFiles !== 'boolean') {
@@ -60,12 +141,30 @@ function validateLimitOptions (limit) {
   }
 }
 
-function getNextDay (start) {
-  return addDays(new Date(start), 1).setHours(0, 0, 0, 0)
+function validateCompress (compress) {
+  if (compress && !Object.hasOwn(compressExtensions, compress)) {
+    throw new Error(`${compress} is not a supported compression, use 'gzip' or 'brotli'`)
+  }
+}
+
+function getNextMonth (start, timezone) {
+  return startOfMonth(addMonths(createDate(start, timezone), 1)).getTime()
+}
+
+function getNextWeek (start, timezone) {
+  return startOfWeek(addWeeks(createDate(start, timezone), 1), { weekStartsOn: 1 }).getTime()
+}
+
+function getNextDay (start, timezone) {
+  return addDays(createDate(start, timezone), 1).setHours(0, 0, 0, 0)
+}
+
+function getNextHour (start, timezone) {
+  return addHours(createDate(start, timezone), 1).setMinutes(0, 0, 0)
 }
 
-function getNextHour (start) {
-  return addHours(new Date(start), 1).setMinutes(0, 0, 0)
+function getNextMinute (start, timezone) {
+  return addMinutes(createDate(start, timezone), 1).setSeconds(0, 0)
 }
 
 function getNextCustom (frequency) {
@@ -73,12 +172,25 @@ function getNextCustom (frequency) {
   return time - time % frequency + frequency
 }
 
-function getNext (frequency) {
+function getNext (frequency, timezone) {
+  const now = createDate(Date.now(), timezone)
+  if (frequency === 'monthly') {
+    return getNextMonth(startOfMonth(now).getTime(), timezone)
+  }
+  if (frequency === 'weekly') {
+    return getNextWeek(startOfWeek(now, { weekStartsOn: 1 }).getTime(), timezone)
+  }
   if (frequency === 'daily') {
-    return getNextDay(new Date().setHours(0, 0, 0, 0))
+    return getNextDay(now.setHours(0, 0, 0, 0), timezone)
   }
   if (frequency === 'hourly') {
-    return getNextHour(new Date().setMinutes(0, 0, 0))
+    return getNextHour(now.setMinutes(0, 0, 0), timezone)
+  }
+  if (frequency === 'minutely') {
+    return getNextMinute(now.setSeconds(0, 0), timezone)
+  }
+  if (isCronExpression(frequency)) {
+    return getCronNext(parseCron(frequency), Date.now(), timezone)
   }
   return getNextCustom(frequency)
 }
@@ -90,16 +202,192 @@ function getFileName (fileVal) {
   return typeof fileVal === 'function' ? fileVal() : fileVal
 }
 
-function buildFileName (fileVal, date, lastNumber = 1, extension) {
+function normalizeExtension (extension) {
+  return typeof extension !== 'string' ? '' : extension.startsWith('.') ? extension : `.${extension}`
+}
+
+function buildFileName (fileVal, date, lastNumber = 1, extension, fileNamePattern) {
+  if (fileNamePattern) {
+    const fileName = getFileName(fileVal)
+    const baseFileName = extractFileName(fileName)
+    // keeps the folder as given, like other names
+    const folderPrefix = fileName.slice(0, fileName.length - baseFileName.length)
+    return `${folderPrefix}${formatFileNamePattern(fileNamePattern, { base: baseFileName, date, number: lastNumber, extension })}`
+  }
   const dateStr = date ? `.${date}` : ''
-  const extensionStr = typeof extension !== 'string' ? '' : extension.startsWith('.') ? extension : `.${extension}`
-  return `${getFileName(fileVal)}${dateStr}.${lastNumber}${extensionStr}`
+  return `${getFileName(fileVal)}${dateStr}.${lastNumber}${normalizeExtension(extension)}`
+}
+
+// name of the file written when using mode 'rename', such as 'app.log'
+function buildActiveFileName (fileVal, extension) {
+  return `${getFileName(fileVal)}${normalizeExtension(extension)}`
+}
+
+function validateMode (mode) {
+  if (typeof mode !== 'undefined' && mode !== 'number' && mode !== 'rename') {
+    throw new Error('mode must be \'number\' or \'rename\'')
+  }
+}
+
+/**
+ * Checks the shared option. Other processes may still write into the rotated file for a while after a roll,
+ * so it can not be post-processed (compressed, encrypted nor archived) right away.
+ * Every process starting would also roll the file others write into, so it can not roll on startup.
+ */
+function validateShared (shared, { compress, encryption, archive, rollOnStartup } = {}) {
+  if (typeof shared !== 'undefined' && typeof shared !== 'boolean') {
+    throw new Error('shared must be a boolean')
+  }
+  if (!shared) return
+  for (const [name, value] of Object.entries({ compress, encryption, archive, rollOnStartup })) {
+    if (value) {
+      throw new Error(`shared can not be combined with ${name}`)
+    }
+  }
+}
+
+function validateRollOnStartup (rollOnStartup) {
+  if (typeof rollOnStartup !== 'undefined' && typeof rollOnStartup !== 'boolean') {
+    throw new Error('rollOnStartup must be a boolean')
+  }
+}
+
+/**
+ * Splits a file name pattern, such as '{base}-{date}-{number:3}{ext}', into literal and token parts
+ */
+function parseFileNamePattern (pattern) {
+  const parts = []
+  let lastIndex = 0
+  for (const match of pattern.matchAll(/\{(\w+)(?::(\d+))?\}/g)) {
+    if (match.index > lastIndex) {
+      parts.push({ literal: pattern.slice(lastIndex, match.index) })
+    }
+    const [, token, padding] = match
+    if (!['base', 'date', 'number', 'ext'].includes(token) || (padding && token !== 'number')) {
+      throw new Error(`${pattern} is not a valid file name pattern`)
+    }
+    parts.push({ token, padding: padding ? +padding : 0 })
+    lastIndex = match.index + match[0].length
+  }
+  if (lastIndex < pattern.length) {
+    parts.push({ literal: pattern.slice(lastIndex) })
+  }
+  const tokens = parts.map(part => part.token)
+  if (
+    tokens.filter(token => token === 'base').length !== 1 ||
+    tokens.filter(token => token === 'number').length !== 1 ||
+    parts.some(part => part.literal && /[{}/\\]/.test(part.literal))
+  ) {
+    throw new Error(`${pattern} is not a valid file name pattern`)
+  }
+  return parts
+}
+
+// without date, the {date} token is removed along with its separator
+function removeDateToken (parts) {
+  const result = []
+  let trimNextLiteral = false
+  for (const part of parts) {
+    if (part.token === 'date') {
+      const previous = result[result.length - 1]
+      if (previous?.literal) {
+        previous.literal = previous.literal.replace(/[^a-zA-Z0-9]$/, '')
+        if (!previous.literal) result.pop()
+      } else {
+        trimNextLiteral = true
+      }
+    } else if (trimNextLiteral && part.literal) {
+      trimNextLiteral = false
+      const literal = part.literal.replace(/^[^a-zA-Z0-9]/, '')
+      if (literal) result.push({ literal })
+    } else {
+      trimNextLiteral = false
+      result.push({ ...part })
+    }
+  }
+  return result
+}
+
+function formatFileNamePattern (pattern, { base, date, number, extension }) {
+  let parts = parseFileNamePattern(pattern)
+  if (!date) {
+    parts = removeDateToken(parts)
+  }
+  return parts.map(({ literal, token, padding }) => {
+    if (literal) return literal
+    if (token === 'base') return base
+    if (token === 'date') return date
+    if (token === 'number') return String(number).padStart(padding, '0')
+    return normalizeExtension(extension)
+  }).join('')
+}
+
+function escapeRegExp (str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Parses a file name with a file name pattern.
+ * Returns the date segment (if any) and number, or null when the file name does not match.
+ */
+function matchFileNamePattern (pattern, fileName, { base, hasDate, extension }) {
+  let parts = parseFileNamePattern(pattern)
+  if (!hasDate) {
+    parts = removeDateToken(parts)
+  }
+  const regexp = new RegExp(`^${parts.map(({ literal, token, padding }) => {
+    if (literal) return escapeRegExp(literal)
+    if (token === 'base') return escapeRegExp(base)
+    if (token === 'date') return '(?<date>.+?)'
+    if (token === 'number') return padding ? `(?<number>\\d{${padding},})` : '(?<number>\\d+)'
+    return escapeRegExp(normalizeExtension(extension))
+  }).join('')}$`)
+  const match = fileName.match(regexp)
+  return match ? { date: match.groups.date, number: +match.groups.number } : null
+}
+
+function validateFileNamePattern (fileNamePattern, dateFormat) {
+  if (typeof fileNamePattern === 'undefined') return
+  if (typeof fileNamePattern !== 'string') {
+    throw new Error('fileNamePattern must be a string')
+  }
+  const parts = parseFileNamePattern(fileNamePattern)
+  // otherwise, files of different periods would have the same name
+  if (dateFormat && !parts.some(part => part.token === 'date')) {
+    throw new Error('fileNamePattern must contain {date} when dateFormat is set')
+  }
+}
+
+// removes extensions appended to rotated files, when encrypted and/or compressed
+function removeCompressExtension (fileName) {
+  if (fileName.endsWith(encryptExtension)) {
+    fileName = fileName.slice(0, -encryptExtension.length)
+  }
+  for (const compressExtension of Object.values(compressExtensions)) {
+    if (fileName.endsWith(compressExtension)) {
+      return fileName.slice(0, -compressExtension.length)
+    }
+  }
+  return fileName
 }
 
-function identifyLogFile (checkedFileName, fileVal, dateFormat, extension) {
+function identifyLogFile (checkedFileName, fileVal, dateFormat, extension, timezone, fileNamePattern) {
   const baseFileNameStr = getFileName(fileVal)
+  if (fileNamePattern) {
+    const hasDate = typeof dateFormat === 'string' && dateFormat.length > 0
+    const match = matchFileNamePattern(fileNamePattern, removeCompressExtension(checkedFileName), { base: baseFileNameStr, hasDate, extension })
+    if (!match) return false
+    let fileTime = 0
+    // patterns without {date} have no date to parse
+    if (hasDate && typeof match.date === 'string') {
+      const d = parse(match.date, dateFormat, createDate(Date.now(), timezone))
+      if (!isValid(d)) return false
+      fileTime = d.getTime()
+    }
+    return { fileName: checkedFileName, fileTime, fileNumber: match.number }
+  }
   if (!checkedFileName.startsWith(baseFileNameStr)) return false
-  const checkFileNameSegments = checkedFileName
+  const checkFileNameSegments = removeCompressExtension(checkedFileName)
     .slice(baseFileNameStr.length + 1)
     .split('.')
   let expectedSegmentCount = 1
@@ -118,7 +406,7 @@ function identifyLogFile (checkedFileName, fileVal, dateFormat, extension) {
   }
   let fileTime = 0
   if (typeof dateFormat === 'string' && dateFormat.length > 0) {
-    const d = parse(checkFileNameSegments[0], dateFormat, new Date())
+    const d = parse(checkFileNameSegments[0], dateFormat, createDate(Date.now(), timezone))
     if (!isValid(d)) return false
     fileTime = d.getTime()
   }
@@ -134,23 +422,94 @@ async function getFileSize (filePath) {
   }
 }
 
-async function detectLastNumber (fileVal, time = null, fileExtension = '') {
+// counts newline-delimited entries of a string or buffer
+function countLines (data) {
+  let lines = 0
+  for (let index = data.indexOf('\n'); index !== -1; index = data.indexOf('\n', index + 1)) {
+    lines++
+  }
+  return lines
+}
+
+async function countFileLines (filePath) {
+  try {
+    let lines = 0
+    for await (const chunk of createReadStream(filePath)) {
+      lines += countLines(chunk)
+    }
+    return lines
+  } catch {
+    return 0
+  }
+}
+
+function validateMaxLines (maxLines) {
+  if (typeof maxLines !== 'undefined' && !(Number.isInteger(maxLines) && maxLines > 0)) {
+    throw new Error('maxLines must be a number greater than 0')
+  }
+}
+
+/**
+ * Splits a string or buffer after its last complete line fitting in maxSize bytes.
+ * When no line fits, the first one is kept anyway if keepFirstLine is true.
+ * Returns the fitting part and the remaining one, of the same type as data.
+ */
+function splitLinesToFit (data, maxSize, keepFirstLine = false) {
+  const buffer = typeof data === 'string' ? Buffer.from(data) : data
+  let index = buffer.length
+  if (buffer.length > maxSize) {
+    index = maxSize > 0 ? buffer.lastIndexOf(10, maxSize - 1) + 1 : 0
+    if (index === 0 && keepFirstLine) {
+      index = buffer.indexOf(10) + 1 || buffer.length
+    }
+  }
+  const fitting = buffer.subarray(0, index)
+  const remaining = buffer.subarray(index)
+  return typeof data === 'string' ? [fitting.toString(), remaining.toString()] : [fitting, remaining]
+}
+
+/**
+ * Splits a string or buffer after its first maxLines lines.
+ * Returns these lines and the remaining part, of the same type as data.
+ */
+function splitLines (data, maxLines) {
+  let index = 0
+  for (let lines = 0; lines < maxLines && index < data.length; lines++) {
+    index = data.indexOf('\n', index) + 1 || data.length
+  }
+  return typeof data === 'string' ? [data.slice(0, index), data.slice(index)] : [data.subarray(0, index), data.subarray(index)]
+}
+
+function validateStrictSize (strictSize, size, shared) {
+  if (typeof strictSize === 'undefined') return
+  if (typeof strictSize !== 'boolean') {
+    throw new Error('strictSize must be a boolean')
+  }
+  if (strictSize && !size) {
+    throw new Error('strictSize requires size')
+  }
+  if (strictSize && shared) {
+    throw new Error('strictSize can not be combined with shared')
+  }
+}
+
+async function detectLastNumber (fileVal, time = null, fileExtension = '', fileNamePattern) {
   const fileName = getFileName(fileVal)
   try {
-    const numbers = await readFileTrailingNumbers(dirname(fileName), time, fileExtension)
+    const numbers = await readFileTrailingNumbers(dirname(fileName), time, fileExtension, fileNamePattern, extractFileName(fileName))
     return numbers.sort((a, b) => b - a)[0]
   } catch {
     return 1
   }
 }
 
-async function readFileTrailingNumbers (folder, time, fileExtension) {
+async function readFileTrailingNumbers (folder, time, fileExtension, fileNamePattern, baseFileName) {
   const numbers = [1]
   for (const file of await readdir(folder)) {
     if (time && !(await isMatchingTime(join(folder, file), time))) {
       continue
     }
-    const number = extractTrailingNumber(file, fileExtension)
+    const number = extractTrailingNumber(file, fileExtension, fileNamePattern, baseFileName)
     if (number) {
       numbers.push(number)
     }
@@ -158,7 +517,14 @@ async function readFileTrailingNumbers (folder, time, fileExtension) {
   return numbers
 }
 
-function extractTrailingNumber (fileName, fileExtension) {
+function extractTrailingNumber (fileName, fileExtension, fileNamePattern, baseFileName) {
+  fileName = removeCompressExtension(fileName)
+  if (fileNamePattern) {
+    const options = { base: baseFileName, extension: fileExtension }
+    const match = matchFileNamePattern(fileNamePattern, fileName, { ...options, hasDate: true }) ??
+      matchFileNamePattern(fileNamePattern, fileName, { ...options, hasDate: false })
+    return match ? match.number : null
+  }
   let normalizedFileExtension = fileExtension
   if (fileExtension && !fileExtension.startsWith('.')) {
     normalizedFileExtension = '.' + fileExtension
@@ -182,6 +548,56 @@ async function isMatchingTime (filePath, time) {
   return birthtimeMs >= time
 }
 
+// checks if a rotated file was compressed and/or encrypted
+async function isCompressed (fileName) {
+  for (const rotatedExtension of rotatedExtensions) {
+    try {
+      await stat(`${fileName}${rotatedExtension}`)
+      return true
+    } catch {}
+  }
+  return false
+}
+
+// checks if a rotated file exists, compressed, encrypted or not
+async function isRotatedFile (fileName) {
+  try {
+    await stat(fileName)
+    return true
+  } catch {
+    return isCompressed(fileName)
+  }
+}
+
+/**
+ * Finds a rotated file, compressed, encrypted or not. Resolves with its path, or null when missing.
+ * Originals are removed once processed, so the least processed file is the complete one.
+ */
+async function findRotatedFile (fileName) {
+  for (const rotatedFileName of [fileName, ...rotatedExtensions.map(rotatedExtension => `${fileName}${rotatedExtension}`)]) {
+    try {
+      await stat(rotatedFileName)
+      return rotatedFileName
+    } catch {}
+  }
+  return null
+}
+
+/**
+ * Compress a rotated file next to it, and remove the original once done
+ * Resolves with the compressed file name
+ */
+async function compressFile (fileName, compress) {
+  const compressedFileName = `${fileName}${compressExtensions[compress]}`
+  await pipeline(
+    createReadStream(fileName),
+    compress === 'brotli' ? createBrotliCompress() : createGzip(),
+    createWriteStream(compressedFileName)
+  )
+  await unlinkWithRetry(fileName)
+  return compressedFileName
+}
+
 /**
  * Retry unlink operation for Windows compatibility
  * Windows can fail to delete files if they're still being accessed
@@ -192,6 +608,10 @@ async function unlinkWithRetry (filePath, maxRetries = 50, retryDelay = 100) {
       await unlink(filePath)
       return
     } catch (error) {
+      if (error.code === 'ENOENT') {
+        // Already removed, for example moved by an archive
+        return
+      }
       if (attempt === maxRetries - 1) {
         // Last attempt failed, throw the error
         throw error
@@ -202,36 +622,164 @@ async function unlinkWithRetry (filePath, maxRetries = 50, retryDelay = 100) {
   }
 }
 
-async function removeOldFiles ({ count, removeOtherLogFiles, baseFile, dateFormat, extension, createdFileNames, newFileName }) {
+async function getLogFileTime (filePath, logFile) {
+  if (logFile?.fileTime) {
+    return logFile.fileTime
+  }
+  try {
+    const { mtimeMs } = await stat(filePath)
+    return mtimeMs
+  } catch {
+    return null
+  }
+}
+
+async function readLogFiles (folder, baseFileNameStr, dateFormat, extension, timezone, fileNamePattern) {
+  const files = []
+  for (const fileEntry of await readdir(folder)) {
+    const f = identifyLogFile(fileEntry, baseFileNameStr, dateFormat, extension, timezone, fileNamePattern)
+    if (f) {
+      files.push(f)
+    }
+  }
+  return files.sort((i, j) => {
+    if (i.fileTime === j.fileTime) {
+      return i.fileNumber - j.fileNumber
+    }
+    return i.fileTime - j.fileTime
+  })
+}
+
+/**
+ * Reads log files of all dated folders, oldest folder first.
+ */
+async function readDatedLogFiles (rootDir, baseFileNameStr, dateFormat, extension, timezone, fileNamePattern, dirFormat) {
+  const files = []
+  for (const { dir } of await readLogDirs(rootDir, dirFormat, timezone)) {
+    const folder = join(rootDir, dir)
+    try {
+      for (const file of await readLogFiles(folder, baseFileNameStr, dateFormat, extension, timezone, fileNamePattern)) {
+        files.push({ ...file, filePath: join(folder, file.fileName) })
+      }
+    } catch {
+      // folder removed meanwhile
+    }
+  }
+  return files
+}
+
+/**
+ * Lists existing files matching the log file naming, oldest first.
+ * Paths are built like `buildFileName()` does, so they can be compared with its results.
+ * With dirFormat, files of all dated folders are listed.
+ */
+async function listLogFiles ({ baseFile, dateFormat, extension, timezone, fileNamePattern, dirFormat }) {
+  const fileName = getFileName(baseFile)
+  const baseFileNameStr = extractFileName(fileName)
+  if (dirFormat) {
+    const files = await readDatedLogFiles(dirname(fileName), baseFileNameStr, dateFormat, extension, timezone, fileNamePattern, dirFormat)
+    return files.map(file => file.filePath)
+  }
+  const folderPrefix = fileName.slice(0, fileName.length - baseFileNameStr.length)
+  try {
+    const files = await readLogFiles(folderPrefix || '.', baseFileNameStr, dateFormat, extension, timezone, fileNamePattern)
+    return files.map(file => `${folderPrefix}${file.fileName}`)
+  } catch {
+    // folder does not exist yet
+    return []
+  }
+}
+
+async function removeOldFiles ({ count, maxAge, maxTotalSize, removeOtherLogFiles, baseFile, dateFormat, extension, timezone, fileNamePattern, dirFormat, createdFileNames, newFileName, activeFileName, pendingFileNames, onRemoveError }) {
+  const pathSegments = getFileName(baseFile).split(/(\\|\/)/g)
+  const baseFileNameStr = pathSegments.pop()
+  const folder = join(...pathSegments)
+  // existing log files with their path, of all dated folders with dirFormat
+  const readAllLogFiles = async () => dirFormat
+    ? readDatedLogFiles(folder, baseFileNameStr, dateFormat, extension, timezone, fileNamePattern, dirFormat)
+    : (await readLogFiles(folder, baseFileNameStr, dateFormat, extension, timezone, fileNamePattern))
+        .map(file => ({ ...file, filePath: join(folder, file.fileName) }))
+  // pending files (for example, not archived yet) must be kept, even if compressed since
+  const isRemovable = filePath => !pendingFileNames?.has(removeCompressExtension(resolve(filePath)))
+  const filesToRemove = []
+  // rotated files which could be removed, oldest first
+  let candidates
   if (!removeOtherLogFiles) {
-    createdFileNames.push(newFileName)
-    if (createdFileNames.length > count) {
-      const filesToRemove = createdFileNames.splice(0, createdFileNames.length - 1 - count)
-      await Promise.allSettled(filesToRemove.map(file => unlinkWithRetry(file)))
+    if (!createdFileNames.includes(newFileName)) {
+      createdFileNames.push(newFileName)
     }
+    const rotatedFileNames = createdFileNames.slice(0, -1)
+    if (count && createdFileNames.length > count) {
+      filesToRemove.push(...rotatedFileNames.splice(0, createdFileNames.length - 1 - count).filter(isRemovable))
+    }
+    candidates = rotatedFileNames.filter(isRemovable).map(filePath => ({
+      filePath,
+      logFile: identifyLogFile(extractFileName(filePath), baseFileNameStr, dateFormat, extension, timezone, fileNamePattern)
+    }))
   } else {
-    let files = []
-    const pathSegments = getFileName(baseFile).split(/(\\|\/)/g)
-    const baseFileNameStr = pathSegments.pop()
-    for (const fileEntry of await readdir(join(...pathSegments))) {
-      const f = identifyLogFile(fileEntry, baseFileNameStr, dateFormat, extension)
-      if (f) {
-        files.push(f)
+    const files = await readAllLogFiles()
+    if (count && files.length > count) {
+      filesToRemove.push(...files.splice(0, files.length - count).map(file => file.filePath).filter(isRemovable))
+    }
+    const activeFilePath = newFileName ? resolve(newFileName) : null
+    candidates = files
+      .filter(file => resolve(file.filePath) !== activeFilePath)
+      .map(logFile => ({ filePath: logFile.filePath, logFile }))
+      .filter(({ filePath }) => isRemovable(filePath))
+  }
+
+  if (maxAge) {
+    const cutoff = Date.now() - parseDuration(maxAge)
+    const remaining = []
+    for (const candidate of candidates) {
+      const fileTime = await getLogFileTime(candidate.filePath, candidate.logFile)
+      if (fileTime !== null && fileTime < cutoff) {
+        filesToRemove.push(candidate.filePath)
+      } else {
+        remaining.push(candidate)
       }
     }
-    files = files.sort((i, j) => {
-      if (i.fileTime === j.fileTime) {
-        return i.fileNumber - j.fileNumber
+    candidates = remaining
+  }
+
+  if (maxTotalSize) {
+    const maxSize = parseSize(maxTotalSize)
+    // dated folders may contain files with the same names
+    const removedFilePaths = new Set(filesToRemove.map(filePath => resolve(filePath)))
+    const fileSizes = new Map()
+    // with mode 'rename', the active file is not numbered
+    let totalSize = activeFileName ? await getFileSize(activeFileName) : 0
+    for (const { filePath } of await readAllLogFiles()) {
+      if (removedFilePaths.has(resolve(filePath))) continue
+      const fileSize = await getFileSize(filePath)
+      fileSizes.set(resolve(filePath), fileSize)
+      totalSize += fileSize
+    }
+    for (const { filePath } of candidates) {
+      if (totalSize <= maxSize) break
+      filesToRemove.push(filePath)
+      totalSize -= fileSizes.get(resolve(filePath)) ?? 0
+    }
+  }
+
+  if (!removeOtherLogFiles) {
+    for (const filePath of filesToRemove) {
+      const index = createdFileNames.indexOf(filePath)
+      if (index !== -1) {
+        createdFileNames.splice(index, 1)
       }
-      return i.fileTime - j.fileTime
-    })
-    if (files.length > count) {
-      const filesToRemove = files.slice(0, files.length - count)
-      await Promise.allSettled(
-        filesToRemove.map(file => unlinkWithRetry(join(...pathSegments, file.fileName)))
-      )
     }
   }
+  const results = await Promise.allSettled(filesToRemove.map(file => unlinkWithRetry(file)))
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      onRemoveError?.(filesToRemove[index], result.reason)
+    }
+  })
+  if (dirFormat) {
+    await removeEmptyDirs(filesToRemove, folder)
+  }
+  return filesToRemove
 }
 
 async function checkSymlink (fileName, linkPath) {
@@ -255,12 +803,16 @@ async function createSymlink (fileVal) {
   return false
 }
 
-function checkSymlinkSync (fileName, linkPath) {
+function checkSymlinkSync (fileName, linkPath, isOwned) {
   try {
     const stats = lstatSync(linkPath)
     if (stats.isSymbolicLink()) {
-      const existingTarget = readlinkSync(linkPath)
-      if (extractFileName(existingTarget) === extractFileName(fileName)) {
+      const existingTarget = resolve(dirname(linkPath), readlinkSync(linkPath))
+      if (existingTarget === resolve(fileName)) {
+        return false
+      }
+      if (isOwned && !isOwned(existingTarget)) {
+        // leave links of other instances sharing the same folder
         return false
       }
       unlinkSync(linkPath)
@@ -274,15 +826,36 @@ function checkSymlinkSync (fileName, linkPath) {
   }
 }
 
-function createSymlinkSync (fileVal) {
-  const linkPath = join(dirname(fileVal), 'current.log')
-  const shouldCreateSymlink = checkSymlinkSync(fileVal, linkPath)
+/**
+ * Creates (or updates) a symlink to the given file.
+ * By default, the link is named 'current.log', created in the file's folder, and uses a relative target.
+ * When provided, `isOwned` tells whether an existing link target can be replaced.
+ */
+function createSymlinkSync (fileVal, { name = 'current.log', dir = dirname(fileVal), relative: isRelative = true, isOwned } = {}) {
+  const linkPath = join(dir, name)
+  const shouldCreateSymlink = checkSymlinkSync(fileVal, linkPath, isOwned)
   if (shouldCreateSymlink) {
-    symlinkSync(extractFileName(fileVal), linkPath)
+    symlinkSync(isRelative ? relative(dir, fileVal) : resolve(fileVal), linkPath)
   }
   return false
 }
 
+function validateSymlinkOptions (symlink) {
+  if (symlink && typeof symlink === 'object') {
+    if (typeof symlink.name !== 'undefined' && (typeof symlink.name !== 'string' || !symlink.name || /[/\\]/.test(symlink.name))) {
+      throw new Error('symlink.name must be a file name, without path separators')
+    }
+    if (typeof symlink.dir !== 'undefined' && (typeof symlink.dir !== 'string' || !symlink.dir)) {
+      throw new Error('symlink.dir must be a non empty string')
+    }
+    if (typeof symlink.relative !== 'undefined' && typeof symlink.relative !== 'boolean') {
+      throw new Error('symlink.relative must be boolean')
+    }
+  } else if (typeof symlink !== 'undefined' && typeof symlink !== 'boolean') {
+    throw new Error('symlink must be a boolean or an object')
+  }
+}
+
 function validateDateFormat (formatStr) {
   const invalidChars = /[/\\?%*:|"<>]/g
   if (invalidChars.test(formatStr)) {
@@ -291,11 +864,104 @@ function validateDateFormat (formatStr) {
   return true
 }
 
-function parseDate (formatStr, frequencySpec, parseStart = false) {
+function validateDirFormat (dirFormat, frequency, mode, shared) {
+  if (typeof dirFormat === 'undefined') return
+  if (typeof dirFormat !== 'string' || dirFormat.length === 0) {
+    throw new Error('dirFormat must be a non empty string')
+  }
+  if (/[\\?%*:|"<>]/.test(dirFormat) || dirFormat.split('/').some(segment => segment === '' || segment === '.' || segment === '..')) {
+    throw new Error(`${dirFormat} contains invalid characters`)
+  }
+  if (!frequency) {
+    throw new Error('dirFormat requires frequency')
+  }
+  if (mode === 'rename') {
+    throw new Error('dirFormat can not be combined with mode rename')
+  }
+  if (shared) {
+    throw new Error('dirFormat can not be combined with shared')
+  }
+}
+
+// base file of a period, in its dated folder under the log file's folder, such as 'logs/2026/10/19/app'
+function buildPeriodFile (fileVal, dir) {
+  const fileName = getFileName(fileVal)
+  return dir ? join(dirname(fileName), dir, extractFileName(fileName)) : fileName
+}
+
+/**
+ * Parses a dated folder, relative to the log file's folder, such as '2026/10/19'.
+ * Returns its time, or null when it does not match dirFormat.
+ */
+function parseLogDir (dir, dirFormat, timezone) {
+  const normalizedDir = dir.split(/[\\/]/).join('/')
+  const d = parse(normalizedDir, dirFormat, createDate(Date.now(), timezone))
+  if (!isValid(d) || format(d, dirFormat) !== normalizedDir) return null
+  return d.getTime()
+}
+
+/**
+ * Lists dated folders under the log file's folder, oldest first.
+ */
+async function readLogDirs (rootDir, dirFormat, timezone) {
+  let dirs = ['']
+  for (let depth = dirFormat.split('/').length; depth > 0; depth--) {
+    const subDirs = []
+    for (const dir of dirs) {
+      try {
+        for (const entry of await readdir(join(rootDir, dir), { withFileTypes: true })) {
+          if (entry.isDirectory()) {
+            subDirs.push(dir ? `${dir}/${entry.name}` : entry.name)
+          }
+        }
+      } catch {
+        // folder removed meanwhile
+      }
+    }
+    dirs = subDirs
+  }
+  return dirs
+    .map(dir => ({ dir, dirTime: parseLogDir(dir, dirFormat, timezone) }))
+    .filter(({ dirTime }) => dirTime !== null)
+    .sort((i, j) => i.dirTime - j.dirTime)
+}
+
+/**
+ * Removes the dated folders of the given files when they are empty, up to the log file's folder.
+ */
+async function removeEmptyDirs (filePaths, rootDir) {
+  const root = resolve(rootDir)
+  const dirs = new Set(filePaths.map(filePath => resolve(dirname(filePath))))
+  for (let dir of dirs) {
+    while (dir !== root && dir.startsWith(root)) {
+      try {
+        await rmdir(dir)
+      } catch {
+        // not empty, or already removed
+        break
+      }
+      dir = dirname(dir)
+    }
+  }
+}
+
+/**
+ * Checks, before rolling, that the folder of the next file is writable, creating it when needed.
+ * Throws otherwise, so the current file is kept.
+ */
+function prepareFileDir (fileName, create) {
+  const dir = dirname(fileName)
+  if (create) {
+    mkdirSync(dir, { recursive: true })
+  }
+  accessSync(dir, constants.W_OK)
+}
+
+function parseDate (formatStr, frequencySpec, parseStart = false, timezone) {
   if (!(formatStr && frequencySpec?.start && frequencySpec.next)) return null
 
   try {
-    return format(parseStart ? frequencySpec.start : frequencySpec.next, formatStr)
+    return format(createDate(parseStart ? frequencySpec.start : frequencySpec.next, timezone), formatStr)
   } catch (error) {
     throw new Error(`${formatStr} must be a valid date format`)
   }
@@ -373,21 +1039,49 @@ function validateFileName (filepath) {
 
 module.exports = {
   buildFileName,
+  buildActiveFileName,
   identifyLogFile,
+  listLogFiles,
   removeOldFiles,
   checkSymlink,
   createSymlink,
   createSymlinkSync,
+  validateSymlinkOptions,
   detectLastNumber,
   extractFileName,
   parseFrequency,
   getNext,
   parseSize,
+  parseDuration,
   getFileName,
   getFileSize,
+  countLines,
+  countFileLines,
+  validateMaxLines,
+  splitLinesToFit,
+  splitLines,
+  validateStrictSize,
+  isCompressed,
+  isRotatedFile,
+  findRotatedFile,
+  compressFile,
+  unlinkWithRetry,
+  encryptExtension,
+  validateCompress,
   validateLimitOptions,
+  validateMode,
+  validateShared,
+  validateRollOnStartup,
   parseDate,
   validateDateFormat,
+  validateDirFormat,
+  buildPeriodFile,
+  parseLogDir,
+  removeEmptyDirs,
+  prepareFileDir,
+  validateTimezone,
   sanitizeFile,
-  validateFileName
+  validateFileName,
+  validateFileNamePattern,
+  removeCompressExtension
 }
@@ -1,21 +1,69 @@
 'use strict'
 
+const { renameSync, appendFileSync } = require('fs')
+const { writeFile, rename, appendFile, mkdir } = require('fs/promises')
+const { dirname, relative, resolve, sep } = require('path')
+const { once } = require('events')
 const SonicBoom = require('sonic-boom')
 const {
   buildFileName,
+  buildActiveFileName,
   removeOldFiles,
   createSymlinkSync,
+  validateSymlinkOptions,
+  identifyLogFile,
+  listLogFiles,
   detectLastNumber,
   parseSize,
   parseFrequency,
   getNext,
   getFileSize,
+  countLines,
+  countFileLines,
+  validateMaxLines,
+  splitLinesToFit,
+  splitLines,
+  validateStrictSize,
+  isCompressed,
+  isRotatedFile,
+  findRotatedFile,
+  compressFile,
+  validateCompress,
   validateLimitOptions,
+  validateMode,
+  validateShared,
+  validateRollOnStartup,
   parseDate,
   validateDateFormat,
+  validateDirFormat,
+  buildPeriodFile,
+  parseLogDir,
+  removeEmptyDirs,
+  prepareFileDir,
+  validateTimezone,
   sanitizeFile,
-  validateFileName
+  validateFileName,
+  validateFileNamePattern,
+  extractFileName,
+  removeCompressExtension
 } = require('./lib/utils')
+const { validateArchiveOptions, createArchiver } = require('./lib/archive')
+const { withLock } = require('./lib/lock')
+const { validateStateFile, readState, writeState } = require('./lib/state')
+const { parseMinFreeSpace, removeFilesForSpace } = require('./lib/disk')
+const { validateRecords, formatRecord, createFileStats, readFileStats, updateFileStats } = require('./lib/record')
+const { validateEncryption, encryptFile, decrypt } = require('./lib/encryption')
+const { parsePostRotate, runOnRotate, runPostRotateCommand } = require('./lib/hooks')
+const { validateRoutes, createLevelRouter } = require('./lib/routes')
+const { DEFAULT_FILE_NAME_PATTERN, parsePartitionBy, getPartitionFile, createPartitionRouter } = require('./lib/partitions')
+const { createScheduler } = require('./lib/scheduler')
+const { createMetrics, getStats, formatMetrics } = require('./lib/metrics')
+const { parseIntegrity, writeSidecar, readSidecar, removeSidecars, hashLogFile, createChainHeader, verify } = require('./lib/integrity')
+
+function noop () {}
+
+// how often processes sharing a file check whether another one rolled it
+const SHARED_CHECK_INTERVAL = 1000
 
 /**
  * A function that returns a string path to the base file name
@@ -38,28 +86,218 @@ const {
  * Use 'k', 'm' and 'g' to express values in KB, MB or GB.
  * Numerical values will be considered as MB.
  *
+ * @property {boolean} strictSize? - When true, each rotated file is at most `size` bytes and ends with a complete line:
+ * the file is rolled before a write exceeding the size, and batches of lines are split between files.
+ * A single line larger than size is written alone in its file. Can not be combined with shared and footer.
+ *
+ * @property {number} maxLines? - When specified, the maximum number of lines (newline-delimited entries) of a given log file.
+ * Can be combined with size and frequency. Writes of several lines are split at line boundaries.
+ *
  * @property {string|number} frequency? - When specified, the amount of time a given log file is used.
  * Can be combined with size.
- * Use 'daily' or 'hourly' to rotate file every day (or every hour).
- * Existing file within the current day (or hour) will be re-used.
+ * Use 'monthly', 'weekly', 'daily', 'hourly' or 'minutely' to rotate file every month (or week, day, hour, minute).
+ * Weeks start on Monday.
+ * Use a 5 fields cron expression, such as '0 2 * * *', to rotate file on a custom schedule (here every day at 02:00).
+ * Existing file within the current period will be re-used.
  * Numerical values will be considered as a number of milliseconds.
  * Using a numerical value will always create a new file upon startup.
  *
+ * @property {boolean} rollOnStartup? - When true, always starts a new file upon startup, instead of reusing
+ * the last file of the current period. The last file is rolled like any other (compressed, archived, subject to limit), unless it is empty.
+ * Can not be combined with shared.
+ *
  * @property {string} extension? - When specified, appends a file extension after the file number.
  *
- * @property {boolean} symlink? - When specified, creates a symlink to the current log file.
+ * @property {'number'|'rename'} mode? - 'number' (default) writes directly into numbered files.
+ * 'rename' always writes into the same file (such as `app.log`), and renames it to the next numbered file on roll.
+ *
+ * @property {boolean} shared? - When true, several processes can write into the same files.
+ * They coordinate with a lock file next to the log file (such as `app.log.lock`), so only one of them rolls,
+ * while others reopen the new file. Can not be combined with compress, encryption, archive and rollOnStartup.
+ *
+ * @property {boolean|SymlinkOptions} symlink? - When specified, creates a symlink to the current log file.
+ * An existing symlink is only replaced when it points to a file of this logger, so several loggers can share a folder.
  *
  * @property {LimitOptions} limit? - strategy used to remove oldest files when rotating them.
  *
+ * @property {string} stateFile? - When specified, path of a JSON file where the current file, its number, the current period
+ * and the files created (and not archived yet) are saved. Used upon startup to resume numbering (and limits) without scanning the folder,
+ * and to archive files left pending.
+ * The folder is scanned when the state file is missing, corrupt, or belongs to another log file.
+ *
  * @property {string} dateFormat? - When specified, appends the current date/time to the file name in the provided format.
  * Supports date formats from `date-fns` (see: https://date-fns.org/v4.1.0/docs/format), such as 'yyyy-MM-dd' and 'yyyy-MM-dd-hh'.
+ *
+ * @property {string} dirFormat? - When specified, writes files of each period into a dated folder of the log file's folder,
+ * named with this date format, such as 'yyyy/MM/dd' (`logs/2026/10/19/app.1.log`). Folders are created on roll, and numbering restarts in each one.
+ * Limits apply to files of all dated folders, and emptied folders are removed. Requires frequency, can not be combined with shared and mode 'rename'.
+ *
+ * @property {string} fileNamePattern? - When specified, template used to build file names, such as '{base}-{date}-{number:3}{ext}'.
+ * `{base}` is the file name, `{date}` the formatted date, `{number}` the file number (`{number:3}` pads it with zeros to 3 digits),
+ * and `{ext}` the extension, including its leading dot. `{base}` and `{number}` are required, and `{date}` with dateFormat.
+ * Defaults to '{base}.{date}.{number}{ext}'.
+ *
+ * @property {string} timezone? - When specified, IANA timezone name (such as 'Europe/Paris' or 'UTC') used to compute rotation times
+ * and dates in file names. Defaults to the process local timezone.
+ *
+ * @property {'gzip'|'brotli'|false} compress? - When specified, compresses each rotated file in the background,
+ * appending '.gz' (or '.br') to its name and removing the uncompressed original.
+ *
+ * @property {EncryptionOptions} encryption? - When specified, encrypts each rotated file with AES-256-GCM in the background (after compression, if any),
+ * appending '.enc' to its name and removing the original. Use `decrypt()` to read them back.
+ *
+ * @property {ArchiveOptions} archive? - When specified, archives each rotated file (after compression and encryption, if any).
+ * Files which could not be archived are tried again upon next rolls, and retention (see `limit`) never removes them.
+ * They are kept across restarts with stateFile only.
+ *
+ * @property {string|number|MinFreeSpaceOptions} minFreeSpace? - When specified, the minimum free space of the log file's volume,
+ * checked on each roll and periodically. Use 'k', 'm' and 'g' like for size, or a percentage of the volume, such as '10%'.
+ * When space is low, oldest rotated files are removed and a `low-disk` event is emitted.
+ *
+ * @property {string|function(HeaderContext): string|object} header? - When specified, record written at the beginning of each new file.
+ * Functions are called with a {@link HeaderContext}, and may return an object, serialized to JSON.
+ *
+ * @property {string|function(FooterContext): string|object} footer? - When specified, record appended at the end of each rotated file.
+ * Functions are called with a {@link FooterContext}, and may return an object, serialized to JSON. Can not be combined with shared and strictSize.
+ *
+ * @property {function(RotateContext): Promise<void>|void} onRotate? - When specified, called after each roll, once the rotated file
+ * is compressed and encrypted (if enabled), and before it is archived or removed by limits. Errors are emitted as `post-rotate-error`.
+ *
+ * @property {string|string[]} postRotateCommand? - When specified, command run after each roll (after `onRotate`),
+ * with the rotated file path as last argument, such as `['/usr/local/bin/ship-logs', '--quiet']`. It is not run in a shell.
+ * Failures and non-zero exit codes are emitted as `post-rotate-error`.
+ *
+ * @property {string|number} postRotateTimeout? - delay after which `onRotate` and `postRotateCommand` are considered failed
+ * (the command is killed), so later background work goes on. Defaults to '1m'.
+ *
+ * @property {boolean|IntegrityOptions} integrity? - When specified, computes the SHA-256 hash of each file while it is written,
+ * and writes it into a checksum file upon roll (such as `app.1.log.sha256`). Hashes are those of the uncompressed, unencrypted content.
+ * Can not be combined with shared.
+ *
+ * @property {Object<string, Options>} routes? - When specified, writes lines into several rolling files according to their level.
+ * Keys are level labels (such as 'error') or values (such as '35' for custom levels), and 'default' for other levels.
+ * Each route's options override the other options, and need their own file and stateFile. Lines without a matching route are dropped.
+ *
+ * @property {string|function(object): string|PartitionOptions} partitionBy? - When specified, writes lines into one rolling file per key,
+ * read from a field of the log object, or computed by a function. Files are named after the key (such as `app-tenant.1.log`),
+ * or built by `file` when it is a function, called with the key. Lines without key are written into `file`.
+ * Each partition rolls, and applies limits, on its own. Can not be combined with routes, stateFile and symlink.
+ */
+
+/**
+ * @typedef {object} SymlinkOptions
+ *
+ * @property {string} name? - name of the symlink. Defaults to 'current.log'.
+ * @property {string} dir? - folder of the symlink. Defaults to the log file's folder.
+ * @property {boolean} relative? - when false, the symlink targets the absolute path of the current log file. Defaults to true.
  */
 
 /**
  * @typedef {object} LimitOptions
  *
  * @property {number} count? -number of log files, **in addition to the currently used file**.
+ * @property {string|number} maxAge? - maximum age of rotated files, based on their date (when using `dateFormat`) or last modification time.
+ * Use 'ms', 's', 'm', 'h', 'd' and 'w' to express durations. Numerical values will be considered as milliseconds.
+ * Can be combined with count.
+ * @property {string|number} maxTotalSize? - maximum size of all log files, the active one included. Oldest rotated files are removed until under budget.
+ * Use 'k', 'm' and 'g' to express values in KB, MB or GB. Numerical values will be considered as MB.
  * @property {boolean} removeOtherLogFiles? - when true, older file matching the log file format will also be removed.
+ * When false, files matching the log file format which exist upon startup are considered as created by this logger,
+ * so limits apply across restarts.
+ */
+
+/**
+ * @typedef {object} ArchiveAdapter
+ *
+ * @property {function(string): Promise<string>} archive - archives the given file, and resolves with its new location.
+ */
+
+/**
+ * @typedef {object} ArchiveOptions
+ *
+ * @property {'fs'|'s3'|ArchiveAdapter} adapter - 'fs' moves files into `dir`, 's3' uploads them with HTTP PUT to an S3-compatible storage.
+ * @property {number} retries? - number of retries when archiving fails, with exponential backoff. Defaults to 3.
+ * @property {number} retryDelay? - delay in milliseconds before the first retry. Defaults to 1000.
+ * @property {string} dir? - (fs) destination folder, created when missing.
+ * @property {string} endpoint? - (s3) storage URL, such as 'https://s3.eu-west-3.amazonaws.com'.
+ * @property {string} bucket? - (s3) bucket name.
+ * @property {string} prefix? - (s3) prepended to file names to build object keys.
+ * @property {string} region? - (s3) region used to sign requests. Defaults to 'us-east-1'.
+ * @property {string} accessKeyId? - (s3) access key used to sign requests. Requests are not signed when omitted.
+ * @property {string} secretAccessKey? - (s3) secret key used to sign requests.
+ * @property {string} sessionToken? - (s3) session token, for temporary credentials.
+ * @property {number} timeout? - (s3) delay in milliseconds without response after which a request fails. Defaults to 30000.
+ */
+
+/**
+ * @typedef {object} EncryptionOptions
+ *
+ * @property {Buffer|string|function(string|null): Buffer|string|{id: string, key: Buffer|string}|Promise<Buffer|string|{id: string, key: Buffer|string}>} key - 32 bytes key, or its hex encoding.
+ * Functions are called for each file. To rotate keys, they may return `{ id, key }`: the key id is written into the file,
+ * and decrypt() calls the function with it.
+ */
+
+/**
+ * @typedef {object} MinFreeSpaceOptions
+ *
+ * @property {string|number} size - minimum free space, as a size or a percentage.
+ * @property {number} keep? - number of most recent rotated files never removed to free space. Defaults to 1.
+ * @property {'none'|'pause'|'drop'} action? - when space is still low after cleanup, 'pause' keeps writes in memory until space is back
+ * (or the stream is ended), and 'drop' discards them. Defaults to 'none', which keeps writing.
+ * @property {number} interval? - delay in milliseconds between checks. Defaults to 10000.
+ * @property {string|number} maxPausedSize? - with 'pause', maximum size of writes kept in memory, above which they are dropped. Defaults to '16m'.
+ */
+
+/**
+ * @typedef {object} LowDiskEvent
+ *
+ * @property {number} freeSpace - free space, in bytes, after cleanup.
+ * @property {number} minFreeSpace - minimum free space expected, in bytes.
+ * @property {string[]} removedFiles - rotated files removed to free space.
+ */
+
+/**
+ * @typedef {object} PartitionOptions
+ *
+ * @property {string|function(object): string} key - field of the log object, or function computing the partition key.
+ * @property {number} maxOpen? - maximum number of partitions open at once: the least recently used one is closed above. Defaults to 100.
+ * @property {string|number} idleTimeout? - duration after which a partition without writes is closed, 0 to keep them open.
+ * Use 'ms', 's', 'm', 'h', 'd' and 'w' to express durations. Numerical values will be considered as milliseconds. Defaults to '10m'.
+ */
+
+/**
+ * @typedef {object} IntegrityOptions
+ *
+ * @property {boolean} chain? - when true, each file starts with the hash of the previous file, in its header
+ * (`{"previousFile":"app.1.log","previousHash":"..."}` unless `header` is specified). Defaults to false.
+ */
+
+/**
+ * @typedef {object} HeaderContext
+ *
+ * @property {string} file - path of the new file.
+ * @property {string|null} previousFile - path of the file rotated before it, if any.
+ * @property {string|null} previousHash? - with integrity, hex-encoded SHA-256 hash of the previous file, if any.
+ * @property {'startup'|'size'|'lines'|'frequency'|'manual'} reason - what triggered the new file.
+ */
+
+/**
+ * @typedef {object} RotateContext
+ *
+ * @property {string} previousFile - path of the rotated file, compressed and encrypted when enabled.
+ * @property {string} newFile - path of the file now written.
+ * @property {'startup'|'size'|'lines'|'frequency'|'manual'} reason - what triggered the roll.
+ */
+
+/**
+ * @typedef {object} FooterContext
+ *
+ * @property {string} file - path of the rotated file.
+ * @property {string} nextFile - path of the file written next.
+ * @property {'startup'|'size'|'lines'|'frequency'|'manual'} reason - what triggered the roll.
+ * @property {number} lines - number of lines of the file, header included.
+ * @property {number} size - size of the file in bytes, header included.
+ * @property {string} hash - hex-encoded SHA-256 hash of the file content, header included.
  */
 
 /**
@@ -67,68 +305,577 @@ const {
  */
 
 /**
- * Creates a Pino transport (a Sonic-boom stream) to writing into files.
- * Automatically rolls your files based on a given frequency, size, or both.
+ * @typedef {object} RollEvent
  *
- * @param {PinoRollOptions} options - to configure file destionation, and rolling rules.
- * @returns {SonicBoom} the Sonic boom steam, usabled as Pino transport.
+ * @property {string} previousFile - path of the file that was just rolled (its numbered name with mode 'rename').
+ * @property {string} newFile - path of the file now written.
+ * @property {'size'|'lines'|'frequency'|'manual'} reason - what triggered the roll.
+ */
+
+/**
+ * @typedef {object} DestinationStats
+ *
+ * @property {number} bytesWritten - bytes written since the stream was built.
+ * @property {Object<string, number>} rolls - number of rolls by reason ('startup', 'size', 'lines', 'frequency' and 'manual').
+ * @property {number} removedFiles - rotated files removed by `limit` and `minFreeSpace`.
+ * @property {number} cleanupFailures - files which could not be removed, and failed cleanups.
+ * @property {string} file - path of the file now written.
+ * @property {number} fileSize - size of the current file in bytes.
+ * @property {number} fileAge - milliseconds since the current file was opened.
  */
-module.exports = async function ({
+
+/**
+ * @typedef {SonicBoom & { roll: () => Promise<void>, stats: () => DestinationStats }} PinoRollStream
+ */
+
+/**
+ * @typedef {import('stream').Writable & { roll: () => Promise<void>, stats: () => Object<string, DestinationStats>|Map<string|null, DestinationStats>, routes?: Object<string, PinoRollStream>, partitions?: Map<string|null, PinoRollStream> }} PinoRollRouter
+ */
+
+/**
+ * Checks the options of a destination, and parses the ones it needs in another form.
+ * Throws on the first invalid option.
+ */
+function parseOptions ({
   file,
   size,
+  strictSize,
+  maxLines,
   frequency,
-  extension,
+  rollOnStartup,
+  mode,
+  shared,
   limit,
+  stateFile,
   symlink,
   dateFormat,
-  ...opts
-} = {}) {
+  dirFormat,
+  fileNamePattern,
+  timezone,
+  compress,
+  encryption,
+  archive,
+  minFreeSpace,
+  header,
+  footer,
+  integrity,
+  onRotate,
+  postRotateCommand,
+  postRotateTimeout
+}) {
+  validateMode(mode)
+  validateShared(shared, { compress, encryption, archive, rollOnStartup })
+  validateRollOnStartup(rollOnStartup)
+  validateMaxLines(maxLines)
+  validateStrictSize(strictSize, size, shared)
   validateLimitOptions(limit)
+  validateStateFile(stateFile)
   validateDateFormat(dateFormat)
+  validateDirFormat(dirFormat, frequency, mode, shared)
+  validateTimezone(timezone)
+  validateSymlinkOptions(symlink)
+  validateCompress(compress)
+  validateEncryption(encryption)
+  validateArchiveOptions(archive)
   validateFileName(file)
-  const frequencySpec = parseFrequency(frequency)
+  validateFileNamePattern(fileNamePattern, dateFormat)
+  validateRecords(header, footer, shared, strictSize)
+  return {
+    maxSize: parseSize(size),
+    frequencySpec: parseFrequency(frequency, timezone),
+    freeSpaceSpec: parseMinFreeSpace(minFreeSpace),
+    integritySpec: parseIntegrity(integrity, shared),
+    postRotateSpec: parsePostRotate(onRotate, postRotateCommand, postRotateTimeout),
+    archiver: archive ? createArchiver(archive) : null
+  }
+}
 
-  let date = parseDate(dateFormat, frequencySpec, true)
+/**
+ * Builds a rolling destination. Destinations built together share the scheduler of their rolls on frequency.
+ */
+async function buildDestination (options = {}, scheduler = createScheduler()) {
+  const { maxSize, frequencySpec, freeSpaceSpec, integritySpec, postRotateSpec, archiver } = parseOptions(options)
+  // options of pino-roll, others are given to SonicBoom
+  let {
+    file,
+    size,
+    strictSize,
+    maxLines,
+    frequency,
+    rollOnStartup,
+    extension,
+    mode,
+    shared,
+    limit,
+    stateFile,
+    symlink,
+    dateFormat,
+    dirFormat,
+    fileNamePattern,
+    timezone,
+    compress,
+    encryption,
+    archive,
+    minFreeSpace,
+    header,
+    footer,
+    integrity,
+    onRotate,
+    postRotateCommand,
+    postRotateTimeout,
+    ...opts
+  } = options
+  // with integrity chain, files start with the previous hash
+  const fileHeader = header ?? (integritySpec?.chain ? createChainHeader : undefined)
+
+  let date = parseDate(dateFormat, frequencySpec, true, timezone)
   const sanitizedFile = sanitizeFile(file)
-  file = sanitizedFile.file
+  // with dirFormat, files of each period are written into a dated folder of the log file's folder
+  const rootFile = sanitizedFile.file
+  let periodDir = parseDate(dirFormat, frequencySpec, true, timezone)
+  file = buildPeriodFile(rootFile, periodDir)
   extension = sanitizedFile.extension
 
-  let number = await detectLastNumber(file, frequencySpec?.start, extension)
-  let fileName = buildFileName(file, date, number, extension)
-  const createdFileNames = [fileName]
-  let currentSize = await getFileSize(fileName)
-  const maxSize = parseSize(size)
+  const isOwnLogDir = dir => dirFormat
+    ? parseLogDir(relative(dirname(rootFile), dir), dirFormat, timezone) !== null
+    : resolve(dir) === resolve(dirname(file))
+  const isOwnLogFile = filePath => isOwnLogDir(dirname(filePath)) &&
+    Boolean(identifyLogFile(extractFileName(filePath), extractFileName(file), dateFormat, extension, timezone, fileNamePattern))
 
-  const destination = new SonicBoom({ ...opts, dest: fileName })
+  // a state saved by a previous run is more reliable than the folder scan
+  let state = stateFile ? await readState(stateFile) : null
+  if (state && !isOwnLogFile(state.fileName)) {
+    state = null
+  }
+  let number
+  if (!state) {
+    number = await detectLastNumber(file, frequencySpec?.start, extension, fileNamePattern)
+  } else if (buildFileName(file, date, state.number, extension, fileNamePattern) !== state.fileName) {
+    // the date in file names changed
+    number = 1
+  } else if (state.periodStart !== (frequencySpec?.start ?? null)) {
+    number = state.number + 1
+  } else {
+    number = state.number
+  }
+  let fileName = buildFileName(file, date, number, extension, fileNamePattern)
+  // with mode 'rename', the active file is renamed to fileName on roll, which must not overwrite a previous one
+  const activeFileName = mode === 'rename' ? buildActiveFileName(file, extension) : null
+  if (activeFileName) {
+    while (await isRotatedFile(fileName)) {
+      fileName = buildFileName(file, date, ++number, extension, fileNamePattern)
+    }
+  } else if (await isCompressed(fileName)) {
+    // last file was already rolled and compressed, do not write into it again
+    fileName = buildFileName(file, date, ++number, extension, fileNamePattern)
+  }
+  // with rollOnStartup, the last file of a previous run is rolled
+  let startupRolledFileName = null
+  let startupRolledHash = null
+  if (rollOnStartup && await getFileSize(activeFileName ?? fileName) > 0) {
+    startupRolledFileName = fileName
+    if (activeFileName) {
+      await rename(activeFileName, fileName)
+    }
+    do {
+      fileName = buildFileName(file, date, ++number, extension, fileNamePattern)
+    } while (await isRotatedFile(fileName))
+    if (footer || integritySpec) {
+      const stats = await readFileStats(startupRolledFileName)
+      if (footer) {
+        const record = formatRecord(footer, {
+          file: startupRolledFileName,
+          nextFile: activeFileName ?? fileName,
+          reason: 'startup',
+          lines: stats.lines,
+          size: stats.size,
+          hash: stats.hash.copy().digest('hex')
+        })
+        await appendFile(startupRolledFileName, record)
+        updateFileStats(stats, record)
+      }
+      startupRolledHash = integritySpec ? stats.hash.digest('hex') : null
+    }
+  }
+  // numbered name of the file being written (to be renamed on roll with mode 'rename')
+  let currentFileName = fileName
+  let currentNumber = number
+  // created files are only tracked for limits to apply on them, otherwise the list would grow forever
+  const tracksCreatedFiles = Boolean(limit) && !limit.removeOtherLogFiles
+  // files created before a restart, to apply limits on them
+  let previousFileNames = []
+  if (state) {
+    previousFileNames = state.createdFileNames
+  } else if (tracksCreatedFiles) {
+    previousFileNames = await listLogFiles({ baseFile: rootFile, dateFormat, extension, timezone, fileNamePattern, dirFormat })
+  }
+  const createdFileNames = tracksCreatedFiles
+    ? [
+        ...previousFileNames.filter(createdFileName => createdFileName !== fileName && createdFileName !== startupRolledFileName),
+        ...(startupRolledFileName ? [startupRolledFileName] : []),
+        fileName
+      ]
+    : []
+  let currentSize = await getFileSize(activeFileName ?? fileName)
+  // file rotated before the new one, which header refers to
+  let startupPreviousFileName = startupRolledFileName
+  let startupPreviousHash = startupRolledHash
+  if (integritySpec?.chain && currentSize === 0 && !startupPreviousFileName) {
+    startupPreviousFileName = (await listLogFiles({ baseFile: rootFile, dateFormat, extension, timezone, fileNamePattern, dirFormat }))
+      .filter(logFileName => logFileName !== fileName)
+      .pop() ?? null
+    if (startupPreviousFileName) {
+      startupPreviousHash = await readSidecar(startupPreviousFileName) ?? (await hashLogFile(startupPreviousFileName)).hash
+    }
+  }
+  let currentLines = maxLines ? await countFileLines(activeFileName ?? fileName) : 0
+  // with footer and integrity, lines, size and hash of the current file
+  let fileStats = footer || integritySpec ? await readFileStats(activeFileName ?? fileName) : null
+
+  // rotated files not archived yet, which retention must keep, by resolved path without compression and encryption extensions
+  // (dated folders may contain files with the same names)
+  const pendingFileNames = new Set()
+  // rotated files which archiving failed, by pending key
+  const failedArchives = new Map()
+  if (archiver && state?.pendingArchives) {
+    // files not archived before a restart are tried again
+    for (const pendingKey of state.pendingArchives) {
+      const pendingFileName = await findRotatedFile(pendingKey)
+      if (pendingFileName) {
+        pendingFileNames.add(pendingKey)
+        failedArchives.set(pendingKey, pendingFileName)
+      }
+    }
+  }
+
+  const lockFileName = shared ? `${buildActiveFileName(file, extension)}.lock` : null
 
-  if (symlink) {
-    createSymlinkSync(fileName)
+  if (dirFormat) {
+    await mkdir(dirname(fileName), { recursive: true })
+  }
+  const destination = new SonicBoom({ ...opts, dest: activeFileName ?? fileName })
+
+  const symlinkOptions = symlink
+    ? {
+        // with dirFormat, the link stays in the log file's folder
+        ...(dirFormat && { dir: dirname(rootFile) }),
+        ...(typeof symlink === 'object' ? symlink : {}),
+        isOwned: target => (activeFileName && resolve(target) === resolve(activeFileName)) || isOwnLogFile(target)
+      }
+    : null
+  if (symlinkOptions) {
+    createSymlinkSync(activeFileName ?? fileName, symlinkOptions)
   }
 
-  let rollTimeout
+  const metrics = createMetrics(currentSize)
+
+  let rollTask = null
   let isClosing = false
+  // background work (compression, archive, cleanup) run sequentially after each roll
+  let afterRollQueue = Promise.resolve()
+  // rotated files which background work is in progress, which free space checks must keep
+  const processingFileNames = new Set()
+  // free space checks run sequentially, without waiting for background work
+  let freeSpaceQueue = Promise.resolve()
+  // state writes run sequentially
+  let stateQueue = Promise.resolve()
+  saveState()
+  if (failedArchives.size > 0) {
+    afterRollQueue = afterRollQueue
+      .then(() => retryFailedArchives())
+      .then(() => saveState())
+  }
+  if (startupRolledFileName) {
+    afterRoll(startupRolledFileName, fileName, startupRolledHash, 'startup')
+  }
 
   if (frequencySpec) {
     destination.once('close', () => {
       isClosing = true
-      clearTimeout(rollTimeout)
+      scheduler.cancel(rollTask)
     })
     scheduleRoll()
   }
 
-  if (maxSize) {
+  if (lockFileName) {
+    const sharedCheckInterval = setInterval(() => {
+      checkSharedRoll().catch(error => destination.emit('error', error))
+    }, SHARED_CHECK_INTERVAL).unref()
+    destination.once('close', () => clearInterval(sharedCheckInterval))
+  }
+
+  // with minFreeSpace, writes are paused or dropped while space is low
+  let isLowDisk = false
+  const pausedWrites = []
+  // bytes of paused writes, which are dropped above maxPausedSize
+  let pausedSize = 0
+  let isDroppingPausedWrites = false
+  // with strictSize, bytes accepted for the current file
+  let acceptedSize = currentSize
+  // size and lines of the header written into the current file, which never rolls alone
+  let headerSize = 0
+  let headerLines = 0
+  // with strictSize, maxLines, header, footer and integrity, bytes the destination did not write yet, and rolls waiting for them
+  const tracksWrites = strictSize || Boolean(maxLines) || Boolean(fileHeader) || Boolean(footer) || Boolean(integritySpec)
+  let unwrittenSize = 0
+  const writtenCallbacks = []
+  // with strictSize and maxLines, writes held until the next file is opened
+  const holdsWrites = strictSize || Boolean(maxLines)
+  let isRollPending = false
+  let isEndPending = false
+  const pendingWrites = []
+  const write = destination.write
+  const end = destination.end
+  function writeData (data) {
+    if (maxLines) {
+      currentLines += countLines(data)
+    }
+    if (fileStats) {
+      updateFileStats(fileStats, data)
+    }
+    if (tracksWrites) {
+      unwrittenSize += Buffer.byteLength(data)
+    }
+    return write.call(destination, data)
+  }
+  function acceptData (data) {
+    return holdsWrites ? writeWithinLimits(data) : writeData(data)
+  }
+  const pausesWrites = freeSpaceSpec && freeSpaceSpec.action !== 'none'
+  if (maxLines || pausesWrites || tracksWrites) {
+    destination.write = function (data) {
+      if (!isLowDisk) {
+        return acceptData(data)
+      }
+      if (freeSpaceSpec.action === 'pause') {
+        pauseData(data)
+      }
+      return true
+    }
+  }
+  function pauseData (data) {
+    const dataSize = Buffer.byteLength(data)
+    if (pausedSize + dataSize > freeSpaceSpec.maxPausedSize) {
+      if (!isDroppingPausedWrites) {
+        isDroppingPausedWrites = true
+        destination.emit('error', new Error(`Paused writes exceed ${freeSpaceSpec.maxPausedSize} bytes, dropping writes until space is back`))
+      }
+      return
+    }
+    pausedSize += dataSize
+    pausedWrites.push(data)
+  }
+  function writePausedData () {
+    pausedSize = 0
+    isDroppingPausedWrites = false
+    for (const data of pausedWrites.splice(0)) {
+      acceptData(data)
+    }
+  }
+  if (freeSpaceSpec) {
+    const freeSpaceInterval = setInterval(queueFreeSpaceCheck, freeSpaceSpec.interval).unref()
+    destination.once('close', () => clearInterval(freeSpaceInterval))
+    queueFreeSpaceCheck()
+  }
+
+  if (tracksWrites) {
+    destination.on('write', writtenSize => {
+      unwrittenSize -= writtenSize
+      if (unwrittenSize === 0 && writtenCallbacks.length > 0) {
+        const callbacks = writtenCallbacks.splice(0)
+        // delay to let the destination finish its write
+        destination.once('drain', () => callbacks.forEach(callback => callback()))
+      }
+    })
+    destination.on('drain', () => {
+      if (writtenCallbacks.length > 0) {
+        // with minLength, data may stay buffered
+        destination.flush(noop)
+      }
+    })
+    destination.once('close', () => {
+      writtenCallbacks.splice(0).forEach(callback => callback())
+    })
+  }
+  if (holdsWrites) {
+    // ends once held writes reached the next file
+    destination.end = function () {
+      if (isRollPending) {
+        isEndPending = true
+        return
+      }
+      end.call(destination)
+    }
+  }
+  if (pausesWrites) {
+    // paused writes are written rather than lost
+    const endAfterPausedData = destination.end
+    destination.end = function (...args) {
+      writePausedData()
+      return endAfterPausedData.apply(destination, args)
+    }
+  }
+
+  destination.on('write', writtenSize => {
+    metrics.bytesWritten += writtenSize
+    metrics.fileSize += writtenSize
+  })
+
+  if (maxSize || maxLines) {
     destination.on('write', writtenSize => {
       currentSize += writtenSize
-      if (fileName === destination.file && currentSize >= maxSize) {
+      if (fileName !== currentFileName) {
+        return
+      }
+      if (currentSize <= headerSize) {
+        return
+      }
+      // rolls on lines and strict size start when accepting data
+      if (maxSize && !strictSize && currentSize >= maxSize) {
         currentSize = 0
-        fileName = buildFileName(file, date, ++number, extension)
+        currentLines = 0
+        fileName = buildFileName(file, date, ++number, extension, fileNamePattern)
         // delay to let the destination finish its write
-        destination.once('drain', () => roll())
+        destination.once('drain', () => roll('size'))
+      }
+    })
+  }
+
+  /**
+   * Writes the lines fitting in the current file, within strictSize and maxLines, and holds the others until the next one is opened.
+   */
+  function writeWithinLimits (data) {
+    if (isRollPending) {
+      pendingWrites.push(data)
+      return true
+    }
+    let fitting = data
+    let remaining = data.slice(0, 0)
+    let reason = 'lines'
+    if (strictSize) {
+      [fitting, remaining] = splitLinesToFit(data, maxSize - acceptedSize, acceptedSize <= headerSize)
+      if (remaining.length > 0) {
+        reason = 'size'
+      }
+    }
+    if (maxLines) {
+      const [lines, otherLines] = splitLines(fitting, Math.max(maxLines - currentLines, currentLines <= headerLines ? 1 : 0))
+      if (otherLines.length > 0) {
+        pendingWrites.push(otherLines)
+        reason = 'lines'
       }
+      fitting = lines
+    }
+    if (remaining.length > 0) {
+      pendingWrites.push(remaining)
+    }
+    let result = true
+    if (fitting.length > 0) {
+      acceptedSize += Buffer.byteLength(fitting)
+      result = writeData(fitting)
+    }
+    if (pendingWrites.length > 0 || (maxLines && currentLines >= maxLines)) {
+      isRollPending = true
+      // otherwise, the roll in progress writes them
+      if (fileName === currentFileName) {
+        currentSize = 0
+        currentLines = 0
+        fileName = buildFileName(file, date, ++number, extension, fileNamePattern)
+        roll(reason)
+      }
+    }
+    return result
+  }
+
+  /**
+   * Calls back once the destination wrote all accepted data: data written after reopening goes into the new file.
+   */
+  function waitForWrites (callback) {
+    if (unwrittenSize === 0) {
+      callback()
+      return
+    }
+    writtenCallbacks.push(callback)
+    destination.flush(noop)
+  }
+
+  function writeHeader (context) {
+    const record = formatRecord(fileHeader, context)
+    headerSize = Buffer.byteLength(record)
+    headerLines = countLines(record)
+    acceptedSize += headerSize
+    writeData(record)
+  }
+
+  function writePendingData () {
+    isRollPending = false
+    if (destination.destroyed || isClosing) {
+      pendingWrites.length = 0
+      return
+    }
+    for (const data of pendingWrites.splice(0)) {
+      writeWithinLimits(data)
+    }
+    if (isEndPending && !isRollPending) {
+      isEndPending = false
+      end.call(destination)
+    }
+  }
+
+  /**
+   * Rolls the current file immediately, for example upon SIGHUP.
+   *
+   * @returns {Promise<void>} resolved once the new file is opened.
+   */
+  destination.roll = function () {
+    return new Promise((resolve, reject) => {
+      if (destination.destroyed || isClosing) {
+        reject(new Error('Unable to roll a closed stream'))
+        return
+      }
+      currentSize = 0
+      currentLines = 0
+      fileName = buildFileName(file, date, ++number, extension, fileNamePattern)
+      roll('manual', (err, reopened) => {
+        if (err) {
+          reject(err)
+        } else if (reopened) {
+          // reopening is asynchronous: wait for the new file to be opened
+          const onReady = () => {
+            destination.off('error', onError)
+            resolve()
+          }
+          const onError = (error) => {
+            destination.off('ready', onReady)
+            reject(error)
+          }
+          destination.once('ready', onReady)
+          destination.once('error', onError)
+        } else {
+          resolve()
+        }
+      })
     })
   }
 
-  function roll (callback) {
+  /**
+   * Reports bytes written, rolls by reason, cleanup removals and failures, and the current file with its size and age.
+   *
+   * @returns {DestinationStats} a snapshot of the counters.
+   */
+  destination.stats = function () {
+    return getStats(metrics, activeFileName ?? currentFileName)
+  }
+
+  function roll (reason, callback) {
+    if (holdsWrites) {
+      const rollCallback = callback
+      callback = (...args) => {
+        writePendingData()
+        if (rollCallback) rollCallback(...args)
+      }
+    }
+
     // Don't roll if the stream is destroyed or closing
     if (destination.destroyed || isClosing) {
       if (callback) callback()
@@ -143,65 +890,472 @@ module.exports = async function ({
         return
       }
 
-      // Check again if stream is destroyed or closing after flush completes
-      if (destination.destroyed || isClosing) {
-        if (callback) callback()
-        return
-      }
+      // with strictSize, header, footer and integrity, the current file must be complete before switching
+      waitForWrites(() => {
+        // Check again if stream is destroyed or closing after flush completes
+        if (destination.destroyed || isClosing) {
+          if (callback) callback()
+          return
+        }
 
-      try {
+        // Another roll already opened the expected file
+        if (currentFileName === fileName) {
+          if (callback) callback()
+          return
+        }
+
+        if (!lockFileName) {
+          switchFile(reason, true, callback)
+          return
+        }
+        withLock(lockFileName, async () => {
+          if (destination.destroyed || isClosing || currentFileName === fileName) {
+            if (callback) callback()
+            return
+          }
+          const rolled = await prepareSharedRoll()
+          // switch while holding the lock, so others see the renamed file with mode 'rename'
+          switchFile(reason, rolled, callback)
+        }).catch((error) => {
+          destination.emit('error', error)
+          if (callback) callback(error)
+        })
+      })
+    })
+  }
+
+  /**
+   * Opens the new file. Only the process that rolled renames the active file, emits a roll event and runs post-roll work.
+   */
+  function switchFile (reason, rolled, callback) {
+    try {
+      prepareFileDir(fileName, Boolean(dirFormat || opts.mkdir))
+    } catch (error) {
+      // keep writing into the current file, next roll will try again
+      fileName = currentFileName
+      number = currentNumber
+      destination.emit('error', error)
+      if (callback) callback(error)
+      return
+    }
+    try {
+      const previousFileName = currentFileName
+      const previousFileStats = fileStats
+      if (activeFileName) {
+        if (rolled) {
+          renameSync(activeFileName, previousFileName)
+        }
+        destination.reopen(activeFileName)
+      } else {
         destination.reopen(fileName)
-        if (symlink) {
-          createSymlinkSync(fileName)
+        if (symlinkOptions) {
+          createSymlinkSync(fileName, symlinkOptions)
+        }
+      }
+      currentFileName = fileName
+      currentNumber = number
+      const openedFileSize = rolled ? 0 : currentSize
+      // data written before reopening goes into the previous file
+      destination.once('ready', () => {
+        metrics.fileSize = openedFileSize
+        metrics.fileOpenedAt = Date.now()
+      })
+      // data not written yet goes into the new file
+      acceptedSize = (rolled ? 0 : currentSize) + unwrittenSize
+      headerSize = 0
+      headerLines = 0
+      let previousHash = null
+      if (rolled) {
+        const nextFileName = activeFileName ?? fileName
+        if (footer) {
+          // the previous file is still open, and was flushed
+          const record = formatRecord(footer, {
+            file: previousFileName,
+            nextFile: nextFileName,
+            reason,
+            lines: previousFileStats.lines,
+            size: previousFileStats.size,
+            hash: previousFileStats.hash.copy().digest('hex')
+          })
+          appendFileSync(previousFileName, record)
+          updateFileStats(previousFileStats, record)
+        }
+        if (fileStats) {
+          fileStats = createFileStats()
         }
-        if (limit) {
-          // Run cleanup asynchronously and emit event when complete
-          removeOldFiles({ ...limit, baseFile: file, dateFormat, extension, createdFileNames, newFileName: fileName })
-            .then(() => {
-              destination.emit('cleanup-complete')
-            })
-            .catch((cleanupError) => {
-              destination.emit('error', cleanupError)
-            })
+        if (integritySpec) {
+          previousHash = previousFileStats.hash.digest('hex')
         }
+        if (fileHeader) {
+          writeHeader({ file: nextFileName, previousFile: previousFileName, ...(integritySpec && { previousHash }), reason })
+        }
+      }
+      if (tracksCreatedFiles && rolled && !createdFileNames.includes(fileName)) {
+        createdFileNames.push(fileName)
+      }
+      saveState()
+      if (rolled) {
+        destination.emit('roll', { previousFile: previousFileName, newFile: activeFileName ?? fileName, reason })
+        afterRoll(previousFileName, fileName, previousHash, reason)
+      }
 
-        // Notify that roll operation is complete
-        if (callback) callback()
-      } catch (error) {
-        // Handle reopen errors gracefully
-        destination.emit('error', error)
-        if (callback) callback(error)
+      // Notify that roll operation is complete
+      if (callback) callback(null, true)
+    } catch (error) {
+      // Handle reopen errors gracefully
+      destination.emit('error', error)
+      if (callback) callback(error)
+    }
+  }
+
+  /**
+   * With shared, all processes compute the same file names: the first one to hold the lock rolls,
+   * and others join the file it opened.
+   * Must be called with the lock. Returns true when this process rolls.
+   */
+  async function prepareSharedRoll () {
+    let rolled = !(await isRotatedFile(activeFileName ? currentFileName : fileName))
+    // other processes may have rolled several times
+    while (await isRotatedFile(fileName)) {
+      fileName = buildFileName(file, date, ++number, extension, fileNamePattern)
+    }
+    if (!activeFileName) {
+      if (!rolled) {
+        const latestFileName = buildFileName(file, date, number - 1, extension, fileNamePattern)
+        if (await isCompressed(latestFileName)) {
+          // latest file was already rolled and compressed, do not write into it again
+          rolled = true
+        } else {
+          fileName = latestFileName
+          number--
+        }
+      }
+      if (rolled) {
+        // create the file, so others join it
+        await writeFile(fileName, '', { flag: 'a' })
+      }
+    }
+    currentSize = rolled ? 0 : await getFileSize(activeFileName ?? fileName)
+    currentLines = rolled || !maxLines ? 0 : await countFileLines(activeFileName ?? fileName)
+    return rolled
+  }
+
+  /**
+   * Joins the file opened by another process that rolled.
+   * Rolls on frequency happen in every process, but rolls on size may only happen in the process writing the most.
+   */
+  async function checkSharedRoll () {
+    if (fileName !== currentFileName) {
+      // already rolling
+      return
+    }
+    const nextFileName = buildFileName(file, date, number + 1, extension, fileNamePattern)
+    if (await isRotatedFile(activeFileName ? currentFileName : nextFileName) && fileName === currentFileName) {
+      fileName = buildFileName(file, date, ++number, extension, fileNamePattern)
+      roll('size')
+    }
+  }
+
+  function afterRoll (previousFileName, newFileName, hash, reason) {
+    let rotatedFileName = previousFileName
+    metrics.rolls[reason]++
+    processingFileNames.add(resolve(previousFileName))
+    if (archiver) {
+      pendingFileNames.add(resolve(previousFileName))
+      // kept pending across restarts
+      saveState()
+    }
+    if (hash) {
+      afterRollQueue = afterRollQueue
+        .then(() => writeSidecar(previousFileName, hash))
+        .catch((integrityError) => {
+          destination.emit('error', integrityError)
+        })
+    }
+    if (compress) {
+      afterRollQueue = afterRollQueue
+        .then(() => compressFile(previousFileName, compress))
+        .then((compressedFileName) => {
+          const index = createdFileNames.indexOf(previousFileName)
+          if (index !== -1) {
+            createdFileNames[index] = compressedFileName
+          }
+          rotatedFileName = compressedFileName
+          destination.emit('compress-complete', compressedFileName)
+        })
+        .catch((compressError) => {
+          destination.emit('error', compressError)
+        })
+    }
+    if (encryption) {
+      afterRollQueue = afterRollQueue
+        .then(() => encryptFile(rotatedFileName, encryption.key))
+        .then((encryptedFileName) => {
+          const index = createdFileNames.indexOf(rotatedFileName)
+          if (index !== -1) {
+            createdFileNames[index] = encryptedFileName
+          }
+          rotatedFileName = encryptedFileName
+          destination.emit('encrypt-complete', encryptedFileName)
+        })
+        .catch((encryptError) => {
+          destination.emit('error', encryptError)
+        })
+    }
+    if (onRotate || postRotateCommand) {
+      // once compressed and encrypted, before the file is archived or removed
+      afterRollQueue = afterRollQueue
+        .then(() => runPostRotate({ previousFile: rotatedFileName, newFile: activeFileName ?? newFileName, reason }))
+    }
+    if (archiver) {
+      afterRollQueue = afterRollQueue
+        .then(async () => {
+          // files which could not be archived upon previous rolls are tried again first
+          await retryFailedArchives()
+          await archiveFile(rotatedFileName, resolve(previousFileName))
+        })
+    }
+    if (limit) {
+      // files which could not be removed
+      const failedFileNames = []
+      // Run cleanup asynchronously and emit event when complete
+      afterRollQueue = afterRollQueue
+        .then(() => removeOldFiles({ ...limit, baseFile: rootFile, dateFormat, extension, timezone, fileNamePattern, dirFormat, createdFileNames, newFileName, activeFileName, pendingFileNames, onRemoveError: failedFileName => failedFileNames.push(failedFileName) }))
+        .then(async (removedFileNames) => {
+          metrics.removedFiles += removedFileNames.length - failedFileNames.length
+          metrics.cleanupFailures += failedFileNames.length
+          if (integritySpec) {
+            await removeSidecars(removedFileNames)
+            if (dirFormat) {
+              // folders emptied once checksum files are removed
+              await removeEmptyDirs(removedFileNames, dirname(rootFile))
+            }
+          }
+        })
+        .then(() => {
+          destination.emit('cleanup-complete')
+        })
+        .catch((cleanupError) => {
+          metrics.cleanupFailures++
+          destination.emit('error', cleanupError)
+        })
+    }
+    if (stateFile && (compress || encryption || archiver || limit)) {
+      // created files were compressed, encrypted, archived or removed
+      afterRollQueue = afterRollQueue.then(() => saveState())
+    }
+    afterRollQueue = afterRollQueue.then(() => {
+      processingFileNames.delete(resolve(previousFileName))
+      if (freeSpaceSpec) {
+        // once the rotated file can be removed
+        queueFreeSpaceCheck()
       }
     })
   }
 
+  /**
+   * Archives a rotated file. Once all retries failed, it is kept for the next roll to try again.
+   */
+  async function archiveFile (rotatedFileName, pendingKey) {
+    try {
+      // with dirFormat, the dated folder is kept, as each one has the same file names
+      const location = await archiver.archive(rotatedFileName, relative(dirname(rootFile), rotatedFileName).split(sep).join('/'))
+      pendingFileNames.delete(pendingKey)
+      failedArchives.delete(pendingKey)
+      destination.emit('archive-complete', { file: rotatedFileName, location })
+    } catch (archiveError) {
+      if (archiveError.code === 'ENOENT') {
+        // removed meanwhile, nothing left to archive
+        pendingFileNames.delete(pendingKey)
+        failedArchives.delete(pendingKey)
+      } else {
+        failedArchives.set(pendingKey, rotatedFileName)
+      }
+      destination.emit('error', archiveError)
+    }
+  }
+
+  async function retryFailedArchives () {
+    for (const [pendingKey, failedFileName] of [...failedArchives]) {
+      await archiveFile(failedFileName, pendingKey)
+    }
+  }
+
+  /**
+   * Calls onRotate, then runs postRotateCommand. Their errors and timeouts are emitted as `post-rotate-error`, and never stop logging.
+   */
+  async function runPostRotate (context) {
+    if (onRotate) {
+      try {
+        await runOnRotate(onRotate, context, postRotateSpec.timeout)
+      } catch (error) {
+        destination.emit('post-rotate-error', error)
+      }
+    }
+    if (postRotateCommand) {
+      try {
+        await runPostRotateCommand(postRotateCommand, context.previousFile, postRotateSpec.timeout)
+      } catch (error) {
+        destination.emit('post-rotate-error', error)
+      }
+    }
+  }
+
+  function queueFreeSpaceCheck () {
+    freeSpaceQueue = freeSpaceQueue
+      .then(() => checkFreeSpace())
+      .catch((diskError) => {
+        metrics.cleanupFailures++
+        destination.emit('error', diskError)
+      })
+  }
+
+  /**
+   * Removes oldest rotated files when free space is low, then pauses or drops writes if still needed.
+   */
+  async function checkFreeSpace () {
+    const rotatedFileNames = (await listLogFiles({ baseFile: rootFile, dateFormat, extension, timezone, fileNamePattern, dirFormat }))
+      .filter(rotatedFileName => rotatedFileName !== currentFileName && rotatedFileName !== fileName &&
+        !pendingFileNames.has(removeCompressExtension(resolve(rotatedFileName))) &&
+        !processingFileNames.has(removeCompressExtension(resolve(rotatedFileName))))
+    const { freeSpace, minFreeSpace, isLow, removedFiles } = await removeFilesForSpace(dirname(activeFileName ?? currentFileName), freeSpaceSpec, rotatedFileNames)
+    if (removedFiles.length > 0) {
+      metrics.removedFiles += removedFiles.length
+      if (integritySpec) {
+        await removeSidecars(removedFiles)
+      }
+      if (dirFormat) {
+        await removeEmptyDirs(removedFiles, dirname(rootFile))
+      }
+      for (const removedFile of removedFiles) {
+        const index = createdFileNames.indexOf(removedFile)
+        if (index !== -1) {
+          createdFileNames.splice(index, 1)
+        }
+      }
+      saveState()
+    }
+    if (isLow || removedFiles.length > 0) {
+      destination.emit('low-disk', { freeSpace, minFreeSpace, removedFiles })
+    }
+    isLowDisk = isLow
+    if (!isLowDisk) {
+      writePausedData()
+    }
+  }
+
+  function saveState () {
+    if (!stateFile) return
+    const state = {
+      fileName: currentFileName,
+      number: currentNumber,
+      periodStart: frequencySpec?.start ?? null,
+      createdFileNames: [...createdFileNames],
+      pendingArchives: [...pendingFileNames]
+    }
+    stateQueue = stateQueue
+      .then(() => writeState(stateFile, state))
+      .catch((stateError) => {
+        destination.emit('error', stateError)
+      })
+  }
+
   function scheduleRoll () {
-    clearTimeout(rollTimeout)
-    rollTimeout = setTimeout(() => {
+    scheduler.cancel(rollTask)
+    rollTask = scheduler.schedule(frequencySpec.next, () => {
       const prevDate = date
-      date = parseDate(dateFormat, frequencySpec)
+      const prevPeriodDir = periodDir
+      date = parseDate(dateFormat, frequencySpec, false, timezone)
+      periodDir = parseDate(dirFormat, frequencySpec, false, timezone)
+      frequencySpec.start = frequencySpec.next
       if (dateFormat && date && date !== prevDate) number = 0
-      fileName = buildFileName(file, date, ++number, extension)
+      if (dirFormat && periodDir !== prevPeriodDir) {
+        file = buildPeriodFile(rootFile, periodDir)
+        number = 0
+      }
+      fileName = buildFileName(file, date, ++number, extension, fileNamePattern)
+      currentLines = 0
 
       // Only schedule next roll after current roll completes
-      roll((err) => {
+      roll('frequency', (err) => {
         if (err) {
           // Log error but continue scheduling to maintain rotation
           destination.emit('error', err)
         }
 
         // Schedule the next roll only after current roll is complete
-        frequencySpec.next = getNext(frequency)
+        frequencySpec.next = getNext(frequency, timezone)
         scheduleRoll()
       })
-    }, frequencySpec.next - Date.now()).unref()
+    })
   }
 
-  // Clean up the timeout when the stream is closed or destroyed
+  // Clean up the scheduled roll when the stream is closed or destroyed
   destination.once('close', () => {
     isClosing = true
-    clearTimeout(rollTimeout)
+    scheduler.cancel(rollTask)
   })
 
+  if (fileHeader && currentSize === 0) {
+    writeHeader({ file: activeFileName ?? fileName, previousFile: startupPreviousFileName, ...(integritySpec && { previousHash: startupPreviousHash }), reason: 'startup' })
+  }
+
   return destination
 }
+
+/**
+ * Builds the destination of each route, and a router writing lines into them according to their level.
+ */
+async function buildRoutes ({ routes, ...options }) {
+  validateRoutes(routes, options.file, options.stateFile)
+  const scheduler = createScheduler()
+  const destinations = {}
+  const ready = []
+  try {
+    for (const [name, route] of Object.entries(routes)) {
+      destinations[name] = await buildDestination({ ...options, ...route }, scheduler)
+      ready.push(once(destinations[name], 'ready'))
+    }
+  } catch (error) {
+    for (const destination of Object.values(destinations)) {
+      destination.destroy()
+    }
+    throw error
+  }
+  return createLevelRouter(destinations, Promise.all(ready))
+}
+
+/**
+ * Builds a router creating the destination of each partition upon its first line.
+ */
+async function buildPartitions ({ partitionBy, fileNamePattern = DEFAULT_FILE_NAME_PATTERN, ...options }) {
+  const partitionSpec = parsePartitionBy(partitionBy, options)
+  validateFileName(options.file)
+  // destinations are built upon their first line, which must not fail on invalid options
+  parseOptions({ ...options, fileNamePattern, file: getPartitionFile(options.file, null) })
+  const scheduler = createScheduler()
+  return createPartitionRouter(partitionSpec, key => buildDestination({ ...options, fileNamePattern, file: getPartitionFile(options.file, key) }, scheduler))
+}
+
+/**
+ * Creates a Pino transport (a Sonic-boom stream) to writing into files.
+ * Automatically rolls your files based on a given frequency, size, or both.
+ * The returned stream emits a `roll` event with a {@link RollEvent} every time a file is rolled,
+ * and a `low-disk` event with a {@link LowDiskEvent} when free space is low.
+ *
+ * With `routes` and `partitionBy`, returns a stream writing into the Sonic-boom stream of each route (or partition),
+ * which re-emits their events with the route name (or partition key) as last argument.
+ *
+ * @param {PinoRollOptions} options - to configure file destionation, and rolling rules.
+ * @returns {PinoRollStream|PinoRollRouter} the Sonic boom steam, usabled as Pino transport.
+ */
+module.exports = async function (options = {}) {
+  if (options.partitionBy) {
+    return buildPartitions(options)
+  }
+  return options.routes ? buildRoutes(options) : buildDestination(options)
+}
+
+module.exports.verify = verify
+module.exports.decrypt = decrypt
+module.exports.formatMetrics = formatMetrics
@@ -0,0 +1,130 @@
+'use strict'
+
+const { once } = require('events')
+const { stat, readFile } = require('fs/promises')
+const { join } = require('path')
+const { gunzipSync } = require('zlib')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+
+const {
+  buildStream,
+  createTempTestDir,
+  waitForCondition
+} = require('./utils')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+it('move rotated files to archive folder', async () => {
+  const file = join(logFolder, 'log')
+  const dir = join(logFolder, 'archives')
+  const stream = await buildStream({ size: '20b', file, archive: { adapter: 'fs', dir } })
+  stream.write('logged message #1 to roll\n')
+  const [{ file: archivedFile, location }] = await once(stream, 'archive-complete')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(archivedFile, `${file}.1.log`, 'reports archived file')
+  assert.strictEqual(location, join(dir, 'log.1.log'), 'reports archive location')
+  assert.strictEqual(await readFile(location, 'utf8'), 'logged message #1 to roll\n', 'archived file content')
+  await assert.rejects(stat(`${file}.1.log`), 'rotated file was moved')
+})
+
+it('archive compressed files', async () => {
+  const file = join(logFolder, 'log')
+  const dir = join(logFolder, 'archives')
+  const stream = await buildStream({ size: '20b', file, compress: 'gzip', archive: { adapter: 'fs', dir } })
+  stream.write('logged message #1 to roll\n')
+  const [{ location }] = await once(stream, 'archive-complete')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(location, join(dir, 'log.1.log.gz'), 'archived compressed file')
+  assert.strictEqual(gunzipSync(await readFile(location)).toString(), 'logged message #1 to roll\n', 'archived file content')
+})
+
+it('do not remove files which are not archived, and archive them upon next rolls', async () => {
+  const file = join(logFolder, 'log')
+  const archived = []
+  let failing = true
+  const adapter = {
+    async archive (filePath) {
+      if (failing) throw new Error('storage is down')
+      archived.push(filePath)
+      return filePath
+    }
+  }
+  const stream = await buildStream({ size: '20b', file, limit: { count: 1 }, archive: { adapter, retries: 0 } })
+  const errors = []
+  let cleanups = 0
+  stream.on('error', error => errors.push(error.message))
+  stream.on('cleanup-complete', () => cleanups++)
+  for (let i = 1; i <= 3; i++) {
+    stream.write(`logged message #${i} to roll\n`)
+    await waitForCondition(() => cleanups === i, { interval: 10, description: `cleanup #${i}` })
+  }
+  for (let i = 1; i <= 4; i++) {
+    await stat(`${file}.${i}.log`)
+  }
+  // failed files are tried again upon each roll
+  assert.deepStrictEqual(errors, Array(6).fill('storage is down'), 'reports archive failures')
+
+  failing = false
+  for (let i = 4; i <= 5; i++) {
+    stream.write(`logged message #${i} to roll\n`)
+    await waitForCondition(() => cleanups === i, { interval: 10, description: `cleanup #${i}` })
+  }
+  stream.end()
+  await once(stream, 'close')
+
+  assert.deepStrictEqual(archived, [1, 2, 3, 4, 5].map(i => `${file}.${i}.log`), 'archived failed files on next roll')
+  for (const i of [1, 2, 3, 4]) {
+    await assert.rejects(stat(`${file}.${i}.log`), 'archived file beyond count was removed')
+  }
+  for (const i of [5, 6]) {
+    await stat(`${file}.${i}.log`)
+  }
+})
+
+it('archive files left pending by a previous run', async () => {
+  const file = join(logFolder, 'log')
+  const stateFile = join(logFolder, 'state.json')
+  const archived = []
+  let failing = true
+  const adapter = {
+    async archive (filePath) {
+      if (failing) throw new Error('storage is down')
+      archived.push(filePath)
+      return filePath
+    }
+  }
+  const stream = await buildStream({ size: '20b', file, stateFile, limit: { count: 1 }, archive: { adapter, retries: 0 } })
+  const errors = []
+  stream.on('error', error => errors.push(error.message))
+  stream.write('logged message #1 to roll\n')
+  await waitForCondition(() => errors.length === 1, { interval: 10, description: 'archive failure' })
+  stream.end()
+  await once(stream, 'close')
+
+  failing = false
+  const restarted = await buildStream({ size: '20b', file, stateFile, limit: { count: 1 }, archive: { adapter, retries: 0 } })
+  await waitForCondition(() => archived.length === 1, { interval: 10, description: 'archive of pending file' })
+  restarted.end()
+  await once(restarted, 'close')
+
+  assert.deepStrictEqual(archived, [`${file}.1.log`], 'archived pending file upon restart')
+  // the state is saved in the background
+  await waitForCondition(async () => JSON.parse(await readFile(stateFile, 'utf8')).pendingArchives.length === 0, { interval: 10, description: 'state without pending archives' })
+})
+
+it('throw on invalid archive adapter', async () => {
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), archive: { adapter: 'fs' } }),
+    { message: 'archive.dir must be a non empty string' },
+    'throws on missing archive folder'
+  )
+})
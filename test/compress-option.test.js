@@ -0,0 +1,90 @@
+'use strict'
+
+const { once } = require('events')
+const { stat, readFile, writeFile } = require('fs/promises')
+const { join } = require('path')
+const { gunzipSync, brotliDecompressSync } = require('zlib')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+
+const {
+  buildStream,
+  createTempTestDir,
+  sleep,
+  waitForFile
+} = require('./utils')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+it('compress rotated files with gzip', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ size: '20b', file, compress: 'gzip' })
+  stream.write('logged message #1\n')
+  stream.write('logged message #2\n')
+  const [compressedFileName] = await once(stream, 'compress-complete')
+  stream.write('logged message #3\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(compressedFileName, `${file}.1.log.gz`, 'reports compressed file name')
+  const content = gunzipSync(await readFile(`${file}.1.log.gz`)).toString()
+  assert.ok(content.includes('#1'), 'compressed file contains first log')
+  assert.ok(content.includes('#2'), 'compressed file contains second log')
+  await assert.rejects(stat(`${file}.1.log`), 'uncompressed file was removed')
+  assert.ok((await readFile(`${file}.2.log`, 'utf8')).includes('#3'), 'active file is not compressed')
+})
+
+it('compress rotated files with brotli', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ size: '20b', file, compress: 'brotli' })
+  stream.write('logged message #1\n')
+  stream.write('logged message #2\n')
+  await once(stream, 'compress-complete')
+  stream.end()
+  await once(stream, 'close')
+
+  const content = brotliDecompressSync(await readFile(`${file}.1.log.br`)).toString()
+  assert.ok(content.includes('#1'), 'compressed file contains first log')
+  await assert.rejects(stat(`${file}.1.log`), 'uncompressed file was removed')
+})
+
+it('remove compressed files based on count', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ size: '20b', file, compress: 'gzip', limit: { count: 1 } })
+  for (let i = 1; i <= 5; i++) {
+    stream.write(`logged message #${i} to roll\n`)
+    await once(stream, 'cleanup-complete')
+  }
+  stream.end()
+  await once(stream, 'close')
+
+  await waitForFile(`${file}.5.log.gz`)
+  await stat(`${file}.6.log`)
+  for (let i = 1; i <= 4; i++) {
+    await assert.rejects(stat(`${file}.${i}.log.gz`), `compressed file #${i} was removed`)
+  }
+})
+
+it('continue numbering after compressed files', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.3.log.gz`, '')
+  const stream = await buildStream({ file, compress: 'gzip' })
+  stream.write('logged message #1\n')
+  await sleep(10)
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.4.log`, 'utf8'), 'logged message #1\n', 'wrote in a new file')
+})
+
+it('throw on unsupported compression', async () => {
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), compress: 'zip' }),
+    { message: 'zip is not a supported compression, use \'gzip\' or \'brotli\'' },
+    'throws on unsupported compression'
+  )
+})
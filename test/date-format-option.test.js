@@ -5,7 +5,8 @@ const { stat, readFile } = require('fs/promises')
 const { join } = require('path')
 const { it, beforeEach } = require('node:test')
 const assert = require('node:assert')
-const { format } = require('date-fns')
+const { format, startOfWeek } = require('date-fns')
+const { TZDate } = require('@date-fns/tz')
 
 const {
   buildStream,
@@ -36,6 +37,52 @@ it('rotate file with date format based on frequency', async () => {
   await assert.rejects(stat(`${fileName}.2`), 'no other files created')
 })
 
+it('rotate file with date format based on weekly frequency', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ frequency: 'weekly', file, dateFormat: 'yyyy-MM-dd' })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  const fileName = `${file}.${format(startOfWeek(new Date(), { weekStartsOn: 1 }), 'yyyy-MM-dd')}`
+  const content = await readFile(`${fileName}.1.log`, 'utf8')
+  assert.ok(content.includes('#1'), 'file is named after the first day of the week')
+})
+
+it('rotate file with date format based on cron expression', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ frequency: '0 0 1 * *', file, dateFormat: 'yyyy-MM-dd' })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  const today = new Date()
+  const fileName = `${file}.${format(new Date(today.getFullYear(), today.getMonth(), 1), 'yyyy-MM-dd')}`
+  const content = await readFile(`${fileName}.1.log`, 'utf8')
+  assert.ok(content.includes('#1'), 'file is named after the last cron occurrence')
+})
+
+it('rotate file with date format in given timezone', async () => {
+  const file = join(logFolder, 'log')
+  const timezone = 'Pacific/Kiritimati'
+  const stream = await buildStream({ frequency: 'hourly', file, dateFormat: 'yyyy-MM-dd-HH', timezone })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  const fileName = `${file}.${format(new TZDate(Date.now(), timezone), 'yyyy-MM-dd-HH')}`
+  const content = await readFile(`${fileName}.1.log`, 'utf8')
+  assert.ok(content.includes('#1'), 'file is named after the date in the given timezone')
+})
+
+it('throw on invalid timezone', async () => {
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), frequency: 'daily', timezone: 'Nowhere/Town' }),
+    { message: 'Nowhere/Town is not a valid timezone' },
+    'throws on invalid timezone'
+  )
+})
+
 it('rotate file based on custom time and date format', async () => {
   const file = join(logFolder, 'log')
   console.log(`[DEBUG] Test starting, platform: ${process.platform}, CI: ${process.env.CI}, folder: ${logFolder}`)
@@ -0,0 +1,148 @@
+'use strict'
+
+const { once } = require('events')
+const { stat, readFile, readdir, writeFile, mkdir, readlink } = require('fs/promises')
+const { join, relative } = require('path')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+const { format } = require('date-fns')
+
+const {
+  buildStream,
+  createTempTestDir,
+  sleep
+} = require('./utils')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+it('write into a dated folder', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ file, frequency: 'daily', dirFormat: 'yyyy/MM/dd' })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  const content = await readFile(join(logFolder, format(new Date(), 'yyyy/MM/dd'), 'log.1.log'), 'utf8')
+  assert.strictEqual(content, 'logged message #1\n', 'file is written into the folder of the day')
+})
+
+it('roll into a new folder on each period, and restart numbering', async () => {
+  const file = join(logFolder, 'log')
+  const dirFormat = 'yyyy-MM-dd/HH-mm-ss-SSS'
+  const frequency = 500
+  const stream = await buildStream({ file, frequency, dirFormat })
+  const rolled = once(stream, 'roll')
+  stream.write('logged message #1\n')
+  // right after the next period started
+  await sleep(Math.ceil(Date.now() / frequency) * frequency - Date.now() + 100)
+  const [event] = await rolled
+  stream.write('logged message #2\n')
+  stream.end()
+  await once(stream, 'close')
+
+  const [day] = await readdir(logFolder)
+  const periods = (await readdir(join(logFolder, day))).sort()
+  assert.ok(periods.length >= 2, 'a folder is created for each period')
+  assert.strictEqual(event.previousFile, join(logFolder, day, periods[0], 'log.1.log'), 'previous file is in the first folder')
+  assert.strictEqual(event.newFile, join(logFolder, day, periods[1], 'log.1.log'), 'new file is in the second folder')
+  assert.strictEqual(await readFile(event.previousFile, 'utf8'), 'logged message #1\n', 'first folder contains first log')
+  assert.strictEqual(await readFile(event.newFile, 'utf8'), 'logged message #2\n', 'second folder contains second log')
+})
+
+it('continue numbering of the dated folder', async () => {
+  const file = join(logFolder, 'log')
+  const folder = join(logFolder, format(new Date(), 'yyyy/MM/dd'))
+  await mkdir(folder, { recursive: true })
+  await writeFile(join(folder, 'log.1.log'), 'previous message #1\n')
+  await writeFile(join(folder, 'log.2.log'), 'previous message #2\n')
+  const stream = await buildStream({ file, frequency: 'daily', dirFormat: 'yyyy/MM/dd', size: '30b' })
+  stream.write('logged message #1\n')
+  await once(stream, 'roll')
+  stream.write('logged message #2\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(join(folder, 'log.2.log'), 'utf8'), 'previous message #2\nlogged message #1\n', 'last file was completed')
+  assert.strictEqual(await readFile(join(folder, 'log.3.log'), 'utf8'), 'logged message #2\n', 'numbering continued')
+})
+
+it('apply limits across dated folders and remove emptied ones', async () => {
+  const file = join(logFolder, 'log')
+  for (const day of ['2020/01/01', '2020/01/02']) {
+    await mkdir(join(logFolder, day), { recursive: true })
+    await writeFile(join(logFolder, day, 'log.1.log'), `${day}\n`)
+  }
+  await mkdir(join(logFolder, 'archive'))
+  const today = format(new Date(), 'yyyy/MM/dd')
+  const stream = await buildStream({ file, frequency: 'daily', dirFormat: 'yyyy/MM/dd', limit: { count: 2 } })
+  stream.write('logged message #1\n')
+  await stream.roll()
+  await once(stream, 'cleanup-complete')
+  stream.end()
+  await once(stream, 'close')
+
+  await assert.rejects(stat(join(logFolder, '2020/01/01')), 'oldest folder was removed')
+  assert.deepStrictEqual(await readdir(join(logFolder, '2020/01')), ['02'], 'other old folder was kept')
+  assert.deepStrictEqual((await readdir(join(logFolder, today))).sort(), ['log.1.log', 'log.2.log'], 'current folder contains rotated and current files')
+  assert.ok((await stat(join(logFolder, 'archive'))).isDirectory(), 'other folders were ignored')
+})
+
+it('archive files under their dated folder', async () => {
+  const file = join(logFolder, 'log')
+  const archiveDir = join(logFolder, 'archive')
+  const frequency = 500
+  const stream = await buildStream({ file, frequency, dirFormat: 'yyyy-MM-dd-HH-mm-ss-SSS', archive: { adapter: 'fs', dir: archiveDir } })
+  const archived = once(stream, 'archive-complete')
+  stream.write('logged message #1\n')
+  // rolls are scheduled with an unref'd timer
+  await sleep(frequency + 300)
+  const [{ file: archivedFile, location }] = await archived
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(location, join(archiveDir, relative(logFolder, archivedFile)), 'keeps the dated folder')
+  assert.strictEqual(await readFile(location, 'utf8'), 'logged message #1\n', 'archived file content')
+})
+
+it('create the symlink in the log file folder', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ file, frequency: 'daily', dirFormat: 'yyyy/MM/dd', symlink: true })
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readlink(join(logFolder, 'current.log')), join(format(new Date(), 'yyyy/MM/dd'), 'log.1.log'), 'links to the dated file')
+})
+
+it('keep writing into the current file when the next folder can not be created', async () => {
+  const file = join(logFolder, 'log')
+  const frequency = 1000
+  // leave enough time to block the next folder before it is needed
+  if (frequency - Date.now() % frequency < 300) {
+    await sleep(300)
+  }
+  const stream = await buildStream({ file, frequency, dirFormat: "yyyy-MM-dd-HH-mm-ss/'logs'" })
+  const next = Math.ceil(Date.now() / frequency) * frequency
+  // a file where the next folder must be created
+  await writeFile(join(logFolder, format(next, 'yyyy-MM-dd-HH-mm-ss')), '')
+  const errors = []
+  stream.on('error', error => errors.push(error))
+  await sleep(next - Date.now() + 50)
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.ok(errors.length > 0 && errors.every(error => ['EEXIST', 'ENOTDIR'].includes(error.code)), 'emits the error')
+  const currentFile = join(logFolder, format(next - frequency, 'yyyy-MM-dd-HH-mm-ss'), 'logs', 'log.1.log')
+  assert.strictEqual(await readFile(currentFile, 'utf8'), 'logged message #1\n', 'current file is still written')
+})
+
+it('throw on invalid dirFormat', async () => {
+  const file = join(logFolder, 'log')
+  await assert.rejects(buildStream({ file, dirFormat: 'yyyy/MM/dd' }), /dirFormat requires frequency/, 'throws without frequency')
+  await assert.rejects(buildStream({ file, frequency: 'daily', dirFormat: '../yyyy' }), /contains invalid characters/, 'throws on relative folders')
+  await assert.rejects(buildStream({ file, frequency: 'daily', dirFormat: 'yyyy', mode: 'rename' }), /dirFormat can not be combined with mode rename/, 'throws on mode rename')
+})
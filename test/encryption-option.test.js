@@ -0,0 +1,113 @@
+'use strict'
+
+const { once } = require('events')
+const { stat, readFile, readdir } = require('fs/promises')
+const { randomBytes } = require('crypto')
+const { join } = require('path')
+const { text } = require('stream/consumers')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+
+const { decrypt, verify } = require('../pino-roll')
+const {
+  buildStream,
+  createTempTestDir,
+  waitForFile
+} = require('./utils')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+it('encrypt rotated files', async () => {
+  const file = join(logFolder, 'log')
+  const key = randomBytes(32)
+  const stream = await buildStream({ size: '20b', file, encryption: { key } })
+  stream.write('logged message #1\n')
+  stream.write('logged message #2\n')
+  const [encryptedFileName] = await once(stream, 'encrypt-complete')
+  stream.write('logged message #3\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(encryptedFileName, `${file}.1.log.enc`, 'reports encrypted file name')
+  assert.ok(!(await readFile(encryptedFileName)).includes('#1'), 'encrypted file content is not readable')
+  assert.strictEqual(await text(await decrypt(encryptedFileName, { key })), 'logged message #1\nlogged message #2\n', 'encrypted file can be decrypted')
+  await assert.rejects(stat(`${file}.1.log`), 'original file was removed')
+  assert.ok((await readFile(`${file}.2.log`, 'utf8')).includes('#3'), 'active file is not encrypted')
+})
+
+it('encrypt compressed files with a key provider', async () => {
+  const file = join(logFolder, 'log')
+  const key = randomBytes(32)
+  const stream = await buildStream({ size: '20b', file, compress: 'gzip', encryption: { key: async () => key } })
+  stream.write('logged message #1\n')
+  stream.write('logged message #2\n')
+  const [encryptedFileName] = await once(stream, 'encrypt-complete')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(encryptedFileName, `${file}.1.log.gz.enc`, 'encrypts compressed file')
+  assert.strictEqual(await text(await decrypt(encryptedFileName, { key })), 'logged message #1\nlogged message #2\n', 'decrypts and decompresses file')
+  await assert.rejects(stat(`${file}.1.log.gz`), 'compressed file was removed')
+})
+
+it('rotate keys with key ids', async () => {
+  const file = join(logFolder, 'log')
+  const keys = { 'key-1': randomBytes(32), 'key-2': randomBytes(32) }
+  let keyId = 'key-1'
+  const stream = await buildStream({ size: '20b', file, encryption: { key: async () => ({ id: keyId, key: keys[keyId] }) } })
+  stream.write('logged message #1 to roll\n')
+  const [firstFileName] = await once(stream, 'encrypt-complete')
+  keyId = 'key-2'
+  stream.write('logged message #2 to roll\n')
+  const [secondFileName] = await once(stream, 'encrypt-complete')
+  stream.end()
+  await once(stream, 'close')
+
+  const key = async (id) => keys[id]
+  assert.strictEqual(await text(await decrypt(firstFileName, { key })), 'logged message #1 to roll\n', 'decrypts file with first key')
+  assert.strictEqual(await text(await decrypt(secondFileName, { key })), 'logged message #2 to roll\n', 'decrypts file with second key')
+})
+
+it('continue numbering and remove encrypted files', async () => {
+  const file = join(logFolder, 'log')
+  const key = randomBytes(32).toString('hex')
+  const stream = await buildStream({ size: '20b', file, encryption: { key }, limit: { count: 1 } })
+  stream.write('logged message #1 to roll\n')
+  await once(stream, 'cleanup-complete')
+  stream.end()
+  await once(stream, 'close')
+  const restarted = await buildStream({ size: '20b', file, encryption: { key }, limit: { count: 1 } })
+  for (let i = 2; i <= 3; i++) {
+    restarted.write(`logged message #${i} to roll\n`)
+    await once(restarted, 'cleanup-complete')
+  }
+  restarted.end()
+  await once(restarted, 'close')
+
+  assert.deepStrictEqual((await readdir(logFolder)).sort(), ['log.3.log.enc', 'log.4.log'], 'numbering continued, and oldest files were removed')
+})
+
+it('verify encrypted files', async () => {
+  const file = join(logFolder, 'log')
+  const key = randomBytes(32)
+  const stream = await buildStream({ size: '20b', file, encryption: { key }, integrity: { chain: true } })
+  stream.write('logged message #1\n')
+  await once(stream, 'encrypt-complete')
+  stream.end()
+  await once(stream, 'close')
+  await waitForFile(`${file}.1.log.sha256`)
+
+  assert.strictEqual((await verify(logFolder, { file: 'log', chain: true, encryption: { key } })).valid, true, 'verifies decrypted content')
+  await assert.rejects(verify(logFolder, { file: 'log' }), /encryption.key must be/, 'requires key')
+})
+
+it('throw on invalid key', async () => {
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), encryption: { key: 'secret' } }),
+    /encryption.key must be a 32 bytes Buffer, a 64 characters hex string or a function/
+  )
+})
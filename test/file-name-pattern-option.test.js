@@ -0,0 +1,110 @@
+'use strict'
+
+const { once } = require('events')
+const { stat, readFile, writeFile } = require('fs/promises')
+const { join, relative } = require('path')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+const { format } = require('date-fns')
+
+const {
+  buildStream,
+  createTempTestDir,
+  sleep
+} = require('./utils')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+it('rotate files named with a pattern', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ size: '20b', file, fileNamePattern: '{base}-{number:3}{ext}' })
+  stream.write('logged message #1\n')
+  stream.write('logged message #2\n')
+  await sleep(20)
+  stream.write('logged message #3\n')
+  stream.end()
+  await once(stream, 'close')
+
+  let content = await readFile(`${file}-001.log`, 'utf8')
+  assert.ok(content.includes('#1'), 'first file contains first log')
+  assert.ok(content.includes('#2'), 'first file contains second log')
+  content = await readFile(`${file}-002.log`, 'utf8')
+  assert.ok(content.includes('#3'), 'second file contains third log')
+  await assert.rejects(stat(`${file}.1.log`), 'default naming is not used')
+})
+
+it('rotate files named with a pattern including date', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ frequency: 'daily', file, dateFormat: 'yyyy-MM-dd', fileNamePattern: '{date}_{base}.{number}{ext}' })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  const content = await readFile(join(logFolder, `${format(new Date(), 'yyyy-MM-dd')}_log.1.log`), 'utf8')
+  assert.ok(content.includes('#1'), 'file is named with the pattern')
+})
+
+it('resume numbering of files named with a pattern', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}-009.log`, '')
+  await writeFile(`${file}-010.log`, '--previous content--\n')
+  const stream = await buildStream({ size: '100b', file, fileNamePattern: '{base}-{number:3}{ext}' })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  const content = await readFile(`${file}-010.log`, 'utf8')
+  assert.ok(content.includes('--previous content--'), 'last file kept its content')
+  assert.ok(content.includes('#1'), 'last file was resumed')
+})
+
+it('remove files named with a pattern based on count', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}-001.log`, '--previous content--\n')
+  const stream = await buildStream({
+    size: '20b',
+    file,
+    fileNamePattern: '{base}-{number:3}{ext}',
+    limit: { count: 1, removeOtherLogFiles: true }
+  })
+  for (let i = 1; i <= 4; i++) {
+    stream.write(`logged message #${i}\n`)
+    await sleep(20)
+  }
+  stream.end()
+  await once(stream, 'close')
+
+  await assert.rejects(stat(`${file}-001.log`), 'pre-existing file was deleted')
+  await assert.rejects(stat(`${file}-002.log`), 'second file was deleted')
+  await stat(`${file}-003.log`)
+  await assert.rejects(stat(`${file}-004.log`), 'no other files created')
+})
+
+it('keep files named with a pattern and a relative path', async () => {
+  const file = `./${relative(process.cwd(), logFolder)}/log`
+  await writeFile(join(logFolder, 'log-1.log'), '--previous content--\n')
+  const stream = await buildStream({ size: '10b', file, extension: 'log', fileNamePattern: '{base}-{number}{ext}', limit: { count: 1 } })
+  stream.write('logged message #1\n')
+  await once(stream, 'cleanup-complete')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.ok((await readFile(join(logFolder, 'log-1.log'), 'utf8')).includes('#1'), 'rotated file was kept')
+  await stat(join(logFolder, 'log-2.log'))
+  assert.strictEqual(stream.stats().file, `${file}-2.log`, 'keeps the given folder')
+})
+
+it('throw on invalid fileNamePattern', async () => {
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), fileNamePattern: '{base}.{date}' }),
+    /is not a valid file name pattern/
+  )
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), dateFormat: 'yyyy-MM-dd', fileNamePattern: '{base}-{number}{ext}' }),
+    /fileNamePattern must contain {date} when dateFormat is set/
+  )
+})
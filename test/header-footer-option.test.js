@@ -0,0 +1,134 @@
+'use strict'
+
+const { once } = require('events')
+const { readFile, writeFile, stat } = require('fs/promises')
+const { createHash } = require('crypto')
+const { join } = require('path')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+
+const {
+  buildStream,
+  createTempTestDir,
+  sleep
+} = require('./utils')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+it('write header at the beginning of each file', async () => {
+  const file = join(logFolder, 'log')
+  const contexts = []
+  const header = context => {
+    contexts.push(context)
+    return { header: true, previousFile: context.previousFile }
+  }
+  const stream = await buildStream({ file, header })
+  stream.write('logged message #1\n')
+  await stream.roll()
+  stream.write('logged message #2\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.deepStrictEqual(contexts, [
+    { file: `${file}.1.log`, previousFile: null, reason: 'startup' },
+    { file: `${file}.2.log`, previousFile: `${file}.1.log`, reason: 'manual' }
+  ], 'calls header with context')
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), '{"header":true,"previousFile":null}\nlogged message #1\n', 'first file starts with header')
+  assert.strictEqual(await readFile(`${file}.2.log`, 'utf8'), `{"header":true,"previousFile":"${file}.1.log"}\nlogged message #2\n`, 'second file starts with header')
+})
+
+it('do not write header into a reused file', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.1.log`, 'previous message\n')
+  const stream = await buildStream({ file, header: '--header--' })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), 'previous message\nlogged message #1\n', 'reused file has no header')
+})
+
+it('write footer at the end of each rotated file', async () => {
+  const file = join(logFolder, 'log')
+  const footer = ({ file, nextFile, reason, lines, size, hash }) => ({ file, nextFile, reason, lines, size, hash })
+  const stream = await buildStream({ file, size: '20b', header: '--header--', footer })
+  stream.write('logged message #1\n')
+  await once(stream, 'roll')
+  stream.end()
+  await once(stream, 'close')
+
+  const content = '--header--\nlogged message #1\n'
+  const expected = {
+    file: `${file}.1.log`,
+    nextFile: `${file}.2.log`,
+    reason: 'size',
+    lines: 2,
+    size: content.length,
+    hash: createHash('sha256').update(content).digest('hex')
+  }
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), `${content}${JSON.stringify(expected)}\n`, 'rotated file ends with footer')
+  assert.strictEqual(await readFile(`${file}.2.log`, 'utf8'), '--header--\n', 'current file has no footer')
+})
+
+it('write footer after all buffered data', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ file, minLength: 4096, footer: ({ lines }) => `--footer ${lines}--` })
+  stream.write('logged message #1\n')
+  stream.write('logged message #2\n')
+  await stream.roll()
+  stream.write('logged message #3\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), 'logged message #1\nlogged message #2\n--footer 2--\n', 'footer follows buffered data')
+  assert.strictEqual(await readFile(`${file}.2.log`, 'utf8'), 'logged message #3\n', 'new file contains last log')
+})
+
+it('include reused file content in footer', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.1.log`, 'previous message\n')
+  const stream = await buildStream({ file, mode: 'rename', footer: ({ file, lines }) => `--footer ${file} ${lines}--` })
+  stream.end()
+  await once(stream, 'close')
+  const restarted = await buildStream({ file, mode: 'rename', footer: ({ file, lines }) => `--footer ${file} ${lines}--` })
+  restarted.write('logged message #1\n')
+  await restarted.roll()
+  restarted.end()
+  await once(restarted, 'close')
+
+  assert.strictEqual(await readFile(`${file}.2.log`, 'utf8'), `logged message #1\n--footer ${file}.2.log 1--\n`, 'renamed file ends with footer')
+})
+
+it('write footer into the file rolled on startup', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.1.log`, 'previous message\n')
+  const stream = await buildStream({ file, rollOnStartup: true, footer: ({ reason, lines }) => `--footer ${reason} ${lines}--` })
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), 'previous message\n--footer startup 1--\n', 'previous file ends with footer')
+})
+
+it('throw on footer with shared', async () => {
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), shared: true, footer: '--footer--' }),
+    /footer can not be combined with shared/
+  )
+})
+
+it('never roll a file containing only its header', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ file, size: '20b', header: '--a header larger than size--' })
+  stream.write('logged message #1\n')
+  await once(stream, 'roll')
+  await sleep(20)
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.2.log`, 'utf8'), '--a header larger than size--\n', 'new file contains header')
+  await assert.rejects(stat(`${file}.3.log`), 'no other files created')
+})
@@ -0,0 +1,120 @@
+'use strict'
+
+const { once } = require('events')
+const { readFile, writeFile, stat } = require('fs/promises')
+const { createHash } = require('crypto')
+const { join } = require('path')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+
+const { verify } = require('../pino-roll')
+const {
+  buildStream,
+  createTempTestDir,
+  waitForFile
+} = require('./utils')
+
+const sha256 = content => createHash('sha256').update(content).digest('hex')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+it('write checksum file of rotated files', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ file, size: '10b', integrity: true })
+  stream.write('logged message #1\n')
+  await once(stream, 'roll')
+  stream.write('logged message #2\n')
+  stream.end()
+  await once(stream, 'close')
+  await waitForFile(`${file}.1.log.sha256`)
+
+  assert.strictEqual(await readFile(`${file}.1.log.sha256`, 'utf8'), `${sha256('logged message #1\n')}  log.1.log\n`, 'writes hash of rotated file')
+  await assert.rejects(stat(`${file}.2.log.sha256`), 'current file has no checksum')
+  assert.strictEqual((await verify(logFolder, { file: 'log' })).valid, true, 'verifies files')
+})
+
+it('hash reused file, header and footer', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.1.log`, 'previous message\n')
+  const stream = await buildStream({ file, integrity: true, header: '--header--', footer: '--footer--', compress: 'gzip' })
+  stream.write('logged message #1\n')
+  const compressed = once(stream, 'compress-complete')
+  await stream.roll()
+  // the original file is removed once compressed
+  await compressed
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log.sha256`, 'utf8'), `${sha256('previous message\nlogged message #1\n--footer--\n')}  log.1.log\n`, 'writes hash of whole content')
+  assert.strictEqual((await verify(logFolder, { file: 'log' })).valid, true, 'verifies compressed files')
+})
+
+it('chain file hashes', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ file, size: '20b', integrity: { chain: true } })
+  for (let i = 1; i <= 3; i++) {
+    stream.write(`logged message #${i}\n`)
+    await once(stream, 'roll')
+  }
+  stream.end()
+  await once(stream, 'close')
+  await waitForFile(`${file}.3.log.sha256`)
+
+  const firstContent = await readFile(`${file}.1.log`, 'utf8')
+  assert.strictEqual(firstContent, `${JSON.stringify({ previousFile: null, previousHash: null })}\nlogged message #1\n`, 'first file has an empty chain header')
+  const secondContent = await readFile(`${file}.2.log`, 'utf8')
+  assert.strictEqual(secondContent, `${JSON.stringify({ previousFile: 'log.1.log', previousHash: sha256(firstContent) })}\nlogged message #2\n`, 'second file chains first one')
+  assert.deepStrictEqual((await verify(logFolder, { file: 'log', chain: true })).breaks, [], 'verifies chain')
+
+  await writeFile(`${file}.1.log`, firstContent.replace('#1', '#0'))
+  assert.deepStrictEqual((await verify(logFolder, { file: 'log', chain: true })).breaks, [
+    { file: `${file}.1.log`, reason: 'checksum mismatch' },
+    { file: `${file}.2.log`, reason: 'chain broken' }
+  ], 'reports modified file')
+})
+
+it('chain files across restarts', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ file, integrity: { chain: true }, rollOnStartup: true })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+  const restarted = await buildStream({ file, integrity: { chain: true }, rollOnStartup: true })
+  restarted.write('logged message #2\n')
+  restarted.end()
+  await once(restarted, 'close')
+  await waitForFile(`${file}.1.log.sha256`)
+
+  const secondContent = await readFile(`${file}.2.log`, 'utf8')
+  assert.ok(secondContent.startsWith(JSON.stringify({ previousFile: 'log.1.log', previousHash: sha256(await readFile(`${file}.1.log`)) })), 'second file chains first one')
+  assert.deepStrictEqual(await verify(logFolder, { file: 'log', chain: true }), {
+    valid: true,
+    files: [`${file}.1.log`, `${file}.2.log`],
+    breaks: []
+  }, 'verifies chain')
+})
+
+it('remove checksum files with rotated files', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ file, size: '10b', integrity: true, limit: { count: 1 } })
+  for (let i = 1; i <= 3; i++) {
+    stream.write(`logged message #${i}\n`)
+    await once(stream, 'cleanup-complete')
+  }
+  stream.end()
+  await once(stream, 'close')
+
+  await assert.rejects(stat(`${file}.1.log.sha256`), 'removes checksum of removed file')
+  await stat(`${file}.3.log.sha256`)
+})
+
+it('throw on integrity with shared', async () => {
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), shared: true, integrity: true }),
+    /integrity can not be combined with shared/
+  )
+})
@@ -0,0 +1,81 @@
+'use strict'
+
+const { it, afterEach } = require('node:test')
+const assert = require('node:assert')
+
+const { isCronExpression, parseCron, getCronNext, getCronPrevious } = require('../../lib/cron')
+
+const { TZ } = process.env
+
+afterEach(() => {
+  process.env.TZ = TZ
+})
+
+it('isCronExpression()', async () => {
+  assert.strictEqual(isCronExpression('0 2 * * *'), true, 'detects 5 fields expression')
+  assert.strictEqual(isCronExpression(' */5  * * * 1-5 '), true, 'ignores extra spaces')
+  assert.strictEqual(isCronExpression('daily'), false, 'ignores named frequencies')
+  assert.strictEqual(isCronExpression('0 0 2 * * *'), false, 'ignores 6 fields expression')
+  assert.strictEqual(isCronExpression(1000), false, 'ignores numbers')
+})
+
+it('parseCron()', async () => {
+  const cron = parseCron('0,30 2-4 */10 1 7')
+  assert.deepStrictEqual([...cron.minutes], [0, 30], 'parses lists')
+  assert.deepStrictEqual([...cron.hours], [2, 3, 4], 'parses ranges')
+  assert.deepStrictEqual([...cron.days], [1, 11, 21, 31], 'parses steps')
+  assert.deepStrictEqual([...cron.months], [1], 'parses values')
+  assert.ok(cron.weekDays.has(0), 'considers 7 as Sunday')
+  assert.deepStrictEqual([...parseCron('10-30/10 * * * *').minutes], [10, 20, 30], 'parses ranges with steps')
+  assert.deepStrictEqual([...parseCron('50/5 * * * *').minutes], [50, 55], 'parses values with steps')
+  for (const expression of ['60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '* * * * 8', '5-1 * * * *', '*/0 * * * *', 'a * * * *', '* * 30 2 *']) {
+    assert.throws(() => parseCron(expression), { message: `${expression} is not a valid cron expression` }, `throws on ${expression}`)
+  }
+})
+
+it('getCronNext()', async () => {
+  process.env.TZ = 'UTC'
+  const time = Date.parse('2026-10-19T10:15:30.000Z')
+  assert.strictEqual(getCronNext(parseCron('* * * * *'), time), Date.parse('2026-10-19T10:16:00.000Z'), 'every minute')
+  assert.strictEqual(getCronNext(parseCron('0 2 * * *'), time), Date.parse('2026-10-20T02:00:00.000Z'), 'every day at 02:00')
+  assert.strictEqual(getCronNext(parseCron('0 2 * * *'), Date.parse('2026-10-20T02:00:00.000Z')), Date.parse('2026-10-21T02:00:00.000Z'), 'strictly after given time')
+  assert.strictEqual(getCronNext(parseCron('0 0 * * 1'), time), Date.parse('2026-10-26T00:00:00.000Z'), 'every Monday')
+  assert.strictEqual(getCronNext(parseCron('0 0 1 * *'), time), Date.parse('2026-11-01T00:00:00.000Z'), 'every first of month')
+  assert.strictEqual(getCronNext(parseCron('0 0 1 * 5'), time), Date.parse('2026-10-23T00:00:00.000Z'), 'either day of month or day of week')
+  assert.strictEqual(getCronNext(parseCron('0 0 29 2 *'), time), Date.parse('2028-02-29T00:00:00.000Z'), 'next leap day')
+})
+
+it('getCronPrevious()', async () => {
+  process.env.TZ = 'UTC'
+  const time = Date.parse('2026-10-19T10:15:30.000Z')
+  assert.strictEqual(getCronPrevious(parseCron('* * * * *'), time), Date.parse('2026-10-19T10:15:00.000Z'), 'every minute')
+  assert.strictEqual(getCronPrevious(parseCron('0 2 * * *'), time), Date.parse('2026-10-19T02:00:00.000Z'), 'every day at 02:00')
+  assert.strictEqual(getCronPrevious(parseCron('0 2 * * *'), Date.parse('2026-10-19T02:00:00.000Z')), Date.parse('2026-10-19T02:00:00.000Z'), 'includes given time')
+  assert.strictEqual(getCronPrevious(parseCron('0 0 * * 1'), time), Date.parse('2026-10-19T00:00:00.000Z'), 'every Monday')
+  assert.strictEqual(getCronPrevious(parseCron('0 0 1 * *'), time), Date.parse('2026-10-01T00:00:00.000Z'), 'every first of month')
+  assert.strictEqual(getCronPrevious(parseCron('30 23 31 12 *'), time), Date.parse('2025-12-31T23:30:00.000Z'), 'last year')
+})
+
+it('getCronNext() and getCronPrevious() with timezone', async () => {
+  process.env.TZ = 'UTC'
+  const time = Date.parse('2026-10-19T10:15:30.000Z')
+  const cron = parseCron('0 2 * * *')
+  assert.strictEqual(getCronNext(cron, time, 'Asia/Tokyo'), Date.parse('2026-10-19T17:00:00.000Z'), 'every day at 02:00 in Tokyo')
+  assert.strictEqual(getCronPrevious(cron, time, 'Asia/Tokyo'), Date.parse('2026-10-18T17:00:00.000Z'), 'every day at 02:00 in Tokyo')
+  assert.strictEqual(getCronNext(cron, time, 'America/Los_Angeles'), Date.parse('2026-10-20T09:00:00.000Z'), 'every day at 02:00 in Los Angeles')
+})
+
+it('getCronNext() and getCronPrevious() across DST transitions', async () => {
+  process.env.TZ = 'Europe/Paris'
+  // on March 29th 2026, clocks jump from 02:00 to 03:00
+  const springForward = Date.parse('2026-03-29T00:30:00.000Z')
+  assert.strictEqual(getCronNext(parseCron('0 * * * *'), springForward), Date.parse('2026-03-29T01:00:00.000Z'), 'skips missing hour')
+  assert.strictEqual(getCronPrevious(parseCron('30 2 * * *'), Date.parse('2026-03-29T02:00:00.000Z')), Date.parse('2026-03-28T01:30:00.000Z'), 'skips missing hour backward')
+  // on October 25th 2026, clocks go back from 03:00 to 02:00
+  const fallBack = Date.parse('2026-10-24T22:00:00.000Z')
+  assert.strictEqual(getCronNext(parseCron('0 3 * * *'), fallBack), Date.parse('2026-10-25T02:00:00.000Z'), 'handles repeated hour')
+  assert.strictEqual(getCronNext(parseCron('0 2 * * *'), Date.parse('2026-10-25T00:30:00.000Z')), Date.parse('2026-10-26T01:00:00.000Z'), 'does not match repeated hour twice')
+  assert.strictEqual(getCronNext(parseCron('0 2 * * *'), Date.parse('2026-10-25T00:30:00.000Z'), 'Europe/Paris'), Date.parse('2026-10-26T01:00:00.000Z'), 'does not match repeated hour twice in timezone')
+  assert.strictEqual(getCronNext(parseCron('0 * * * *'), Date.parse('2026-10-25T00:30:00.000Z')), Date.parse('2026-10-25T01:00:00.000Z'), 'matches repeated hour with any hour')
+  assert.strictEqual(getCronPrevious(parseCron('0 0 * * *'), Date.parse('2026-10-25T12:00:00.000Z')), Date.parse('2026-10-24T22:00:00.000Z'), 'handles repeated hour backward')
+})
@@ -0,0 +1,58 @@
+'use strict'
+
+const fs = require('fs/promises')
+const { writeFile, stat } = require('fs/promises')
+const { join } = require('path')
+const { it, afterEach, mock } = require('node:test')
+const assert = require('node:assert')
+
+const { parseMinFreeSpace, getFreeSpace, removeFilesForSpace } = require('../../lib/disk')
+const { createTempTestDir } = require('../utils')
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+it('parseMinFreeSpace()', async () => {
+  assert.strictEqual(parseMinFreeSpace(), null, 'returns null without value')
+  assert.deepStrictEqual(parseMinFreeSpace('500m'), { bytes: 500 * 1024 ** 2, percent: null, keep: 1, action: 'none', interval: 10000, maxPausedSize: 16 * 1024 ** 2 }, 'parses size')
+  assert.deepStrictEqual(parseMinFreeSpace('10%'), { bytes: null, percent: 10, keep: 1, action: 'none', interval: 10000, maxPausedSize: 16 * 1024 ** 2 }, 'parses percentage')
+  assert.deepStrictEqual(
+    parseMinFreeSpace({ size: 2, keep: 0, action: 'drop', interval: 500, maxPausedSize: '1k' }),
+    { bytes: 2 * 1024 ** 2, percent: null, keep: 0, action: 'drop', interval: 500, maxPausedSize: 1024 },
+    'parses object'
+  )
+  assert.throws(() => parseMinFreeSpace('120%'), /120% is not a valid percentage/, 'throws on invalid percentage')
+  assert.throws(() => parseMinFreeSpace('big'), /is not a valid size/, 'throws on invalid size')
+  assert.throws(() => parseMinFreeSpace(0), /minFreeSpace must be a size or a percentage greater than 0/, 'throws on 0')
+  assert.throws(() => parseMinFreeSpace({ keep: 1 }), /minFreeSpace must be a size or a percentage greater than 0/, 'throws on missing size')
+  assert.throws(() => parseMinFreeSpace({ size: '1g', keep: -1 }), /minFreeSpace.keep must be a positive integer/, 'throws on invalid keep')
+  assert.throws(() => parseMinFreeSpace({ size: '1g', action: 'stop' }), /minFreeSpace.action must be 'none', 'pause' or 'drop'/, 'throws on invalid action')
+  assert.throws(() => parseMinFreeSpace({ size: '1g', interval: 0 }), /minFreeSpace.interval must be a number greater than 0/, 'throws on invalid interval')
+  assert.throws(() => parseMinFreeSpace({ size: '1g', maxPausedSize: 0 }), /minFreeSpace.maxPausedSize must be a size greater than 0/, 'throws on invalid maxPausedSize')
+})
+
+it('getFreeSpace()', async () => {
+  mock.method(fs, 'statfs', async () => ({ bavail: 50, blocks: 1000, bsize: 10 }))
+  assert.deepStrictEqual(await getFreeSpace('.', { bytes: 400, percent: null }), { freeSpace: 500, minFreeSpace: 400, isLow: false }, 'compares with size')
+  assert.deepStrictEqual(await getFreeSpace('.', { bytes: null, percent: 10 }), { freeSpace: 500, minFreeSpace: 1000, isLow: true }, 'compares with percentage')
+})
+
+it('removeFilesForSpace()', async () => {
+  const folder = createTempTestDir()
+  const fileNames = [1, 2, 3, 4].map(number => join(folder, `log.${number}.log`))
+  for (const fileName of fileNames) {
+    await writeFile(fileName, '')
+  }
+  let bavail = 0
+  mock.method(fs, 'statfs', async () => ({ bavail: bavail++, blocks: 100, bsize: 1 }))
+  const result = await removeFilesForSpace(folder, { bytes: 2, percent: null, keep: 1 }, fileNames)
+  assert.deepStrictEqual(result, { freeSpace: 2, minFreeSpace: 2, isLow: false, removedFiles: fileNames.slice(0, 2) }, 'removes oldest files until enough space')
+  await stat(fileNames[2])
+
+  bavail = -10
+  const { isLow, removedFiles } = await removeFilesForSpace(folder, { bytes: 2, percent: null, keep: 1 }, fileNames.slice(2))
+  assert.strictEqual(isLow, true, 'reports low space')
+  assert.deepStrictEqual(removedFiles, [fileNames[2]], 'keeps most recent files')
+  await stat(fileNames[3])
+})
@@ -0,0 +1,106 @@
+'use strict'
+
+const { writeFile, readFile, stat } = require('fs/promises')
+const { execFile } = require('child_process')
+const { promisify } = require('util')
+const { randomBytes } = require('crypto')
+const { join } = require('path')
+const { text } = require('stream/consumers')
+const { gzipSync } = require('zlib')
+const { it } = require('node:test')
+const assert = require('node:assert')
+
+const { validateEncryption, encryptFile, decrypt } = require('../../lib/encryption')
+const { createTempTestDir } = require('../utils')
+
+const cli = join(__dirname, '..', '..', 'bin', 'pino-roll-decrypt.js')
+
+it('validateEncryption()', async () => {
+  assert.doesNotThrow(() => validateEncryption(), 'allows no encryption')
+  assert.doesNotThrow(() => validateEncryption({ key: randomBytes(32) }), 'allows buffer key')
+  assert.doesNotThrow(() => validateEncryption({ key: randomBytes(32).toString('hex') }), 'allows hex key')
+  assert.doesNotThrow(() => validateEncryption({ key: () => randomBytes(32) }), 'allows key provider')
+  assert.throws(() => validateEncryption(true), /encryption must be an object/, 'throws on boolean')
+  assert.throws(() => validateEncryption({ key: randomBytes(16) }), /encryption.key must be a 32 bytes Buffer/, 'throws on short key')
+  assert.throws(() => validateEncryption({ key: 'secret' }), /encryption.key must be a 32 bytes Buffer/, 'throws on invalid string')
+})
+
+it('encryptFile() and decrypt()', async () => {
+  const folder = createTempTestDir()
+  const key = randomBytes(32)
+  const fileName = join(folder, 'file.1.log')
+  await writeFile(fileName, 'line 1\nline 2\n')
+  const encryptedFileName = await encryptFile(fileName, key)
+  assert.strictEqual(encryptedFileName, `${fileName}.enc`, 'appends extension')
+  await assert.rejects(stat(fileName), 'removes original file')
+  assert.ok(!(await readFile(encryptedFileName)).includes('line 1'), 'encrypts content')
+  assert.strictEqual(await text(await decrypt(encryptedFileName, { key })), 'line 1\nline 2\n', 'decrypts content')
+  assert.strictEqual(await text(await decrypt(encryptedFileName, { key: async () => key.toString('hex') })), 'line 1\nline 2\n', 'decrypts with key provider')
+  await assert.rejects(text(await decrypt(encryptedFileName, { key: randomBytes(32) })), 'rejects wrong key')
+})
+
+it('decrypt() compressed and empty files', async () => {
+  const folder = createTempTestDir()
+  const key = randomBytes(32)
+  await writeFile(join(folder, 'file.1.log.gz'), gzipSync('line 1\n'))
+  await writeFile(join(folder, 'file.2.log'), '')
+  assert.strictEqual(await text(await decrypt(await encryptFile(join(folder, 'file.1.log.gz'), key), { key })), 'line 1\n', 'decompresses content')
+  assert.strictEqual(await text(await decrypt(await encryptFile(join(folder, 'file.2.log'), key), { key })), '', 'decrypts empty file')
+})
+
+it('encryptFile() and decrypt() with key ids', async () => {
+  const folder = createTempTestDir()
+  const keys = { 'key-1': randomBytes(32), 'key-2': randomBytes(32) }
+  const fileName = join(folder, 'file.1.log')
+  await writeFile(fileName, 'line 1\n')
+  const encryptedFileName = await encryptFile(fileName, async () => ({ id: 'key-2', key: keys['key-2'] }))
+  assert.strictEqual((await readFile(encryptedFileName)).subarray(0, 10).toString(), 'PRE2\x05key-2', 'writes key id')
+  const keyIds = []
+  const provider = async (id) => {
+    keyIds.push(id)
+    return keys[id]
+  }
+  assert.strictEqual(await text(await decrypt(encryptedFileName, { key: provider })), 'line 1\n', 'decrypts with key of id')
+  assert.deepStrictEqual(keyIds, ['key-2'], 'passes key id to provider')
+  await writeFile(fileName, '')
+  await assert.rejects(encryptFile(fileName, () => ({ id: '', key: keys['key-1'] })), /encryption key id must be a string of 1 to 255 bytes/, 'throws on empty id')
+  await assert.rejects(encryptFile(fileName, () => ({ id: 'a'.repeat(256), key: keys['key-1'] })), /encryption key id must be a string of 1 to 255 bytes/, 'throws on long id')
+  await writeFile(fileName, '')
+  const emptyFileName = await encryptFile(fileName, () => ({ id: 'key-1', key: keys['key-1'] }))
+  assert.strictEqual(await text(await decrypt(emptyFileName, { key: provider })), '', 'decrypts empty file with key id')
+})
+
+it('decrypt() detects modified files', async () => {
+  const folder = createTempTestDir()
+  const key = randomBytes(32)
+  const encryptedFileName = join(folder, 'file.1.log.enc')
+  await writeFile(join(folder, 'file.1.log'), 'line 1\n')
+  await encryptFile(join(folder, 'file.1.log'), key)
+  const content = await readFile(encryptedFileName)
+  content[20] ^= 1
+  await writeFile(encryptedFileName, content)
+  await assert.rejects(text(await decrypt(encryptedFileName, { key })), /unable to authenticate data/, 'rejects modified content')
+  await writeFile(join(folder, 'file.2.log.enc'), 'not encrypted')
+  await assert.rejects(decrypt(join(folder, 'file.2.log.enc'), { key }), /is not an encrypted log file/, 'rejects unknown files')
+})
+
+it('decrypts files from the command line', async () => {
+  const folder = createTempTestDir()
+  const key = randomBytes(32)
+  await writeFile(join(folder, 'file.1.log'), 'line 1\n')
+  await writeFile(join(folder, 'file.2.log'), 'line 2\n')
+  await encryptFile(join(folder, 'file.1.log'), key)
+  await encryptFile(join(folder, 'file.2.log'), key)
+  await writeFile(join(folder, 'key'), key.toString('hex'))
+
+  const files = [join(folder, 'file.1.log.enc'), join(folder, 'file.2.log.enc')]
+  let { stdout } = await promisify(execFile)(process.execPath, [cli, '--key-file', join(folder, 'key'), ...files])
+  assert.strictEqual(stdout, 'line 1\nline 2\n', 'decrypts files with key file')
+  ;({ stdout } = await promisify(execFile)(process.execPath, [cli, files[0]], { env: { ...process.env, PINO_ROLL_ENCRYPTION_KEY: key.toString('hex') } }))
+  assert.strictEqual(stdout, 'line 1\n', 'decrypts files with environment variable')
+  await assert.rejects(
+    promisify(execFile)(process.execPath, [cli, files[0]], { env: { ...process.env, PINO_ROLL_ENCRYPTION_KEY: '' } }),
+    /No key provided/,
+    'fails without key'
+  )
+})
@@ -0,0 +1,48 @@
+'use strict'
+
+const { readFile, writeFile } = require('fs/promises')
+const { join } = require('path')
+const { it } = require('node:test')
+const assert = require('node:assert')
+
+const { parsePostRotate, runOnRotate, runPostRotateCommand } = require('../../lib/hooks')
+const { createTempTestDir, sleep } = require('../utils')
+
+it('parsePostRotate()', async () => {
+  assert.doesNotThrow(() => parsePostRotate(), 'allows no hooks')
+  assert.doesNotThrow(() => parsePostRotate(async () => {}, 'ship-logs'), 'allows function and command')
+  assert.doesNotThrow(() => parsePostRotate(undefined, ['ship-logs', '--quiet']), 'allows command with arguments')
+  assert.throws(() => parsePostRotate({}), /onRotate must be a function/, 'throws on invalid onRotate')
+  assert.throws(() => parsePostRotate(undefined, ''), /postRotateCommand must be a non empty string/, 'throws on empty command')
+  assert.throws(() => parsePostRotate(undefined, ['ship-logs', 1]), /postRotateCommand must be a non empty string/, 'throws on invalid arguments')
+  assert.deepStrictEqual(parsePostRotate(), { timeout: 60000 }, 'defaults timeout to a minute')
+  assert.deepStrictEqual(parsePostRotate(undefined, 'ship-logs', '30s'), { timeout: 30000 }, 'parses timeout')
+  assert.throws(() => parsePostRotate(undefined, 'ship-logs', 0), /postRotateTimeout must be a duration greater than 0/, 'throws on invalid timeout')
+})
+
+it('runPostRotateCommand()', async () => {
+  const folder = createTempTestDir()
+  const file = join(folder, 'log.1.log')
+  await writeFile(file, 'content')
+  await runPostRotateCommand([process.execPath, '-e', "require('fs').writeFileSync(process.argv.at(-1) + '.args', process.argv.slice(1).join(' '))", 'extra'], file)
+  assert.strictEqual(await readFile(`${file}.args`, 'utf8'), `extra ${file}`, 'passes arguments, then the rotated file')
+  await assert.rejects(runPostRotateCommand(join(folder, 'missing-command'), file), /ENOENT/, 'rejects on missing command')
+})
+
+it('runPostRotateCommand() kills command after timeout', async () => {
+  const folder = createTempTestDir()
+  const file = join(folder, 'log.1.log')
+  await assert.rejects(
+    runPostRotateCommand([process.execPath, '-e', 'setTimeout(() => {}, 10000)'], file, 100),
+    { message: 'postRotateCommand timed out after 100ms' },
+    'rejects on timeout'
+  )
+})
+
+it('runOnRotate()', async () => {
+  const context = { previousFile: 'log.1.log' }
+  let received
+  await runOnRotate(async (rotateContext) => { received = rotateContext }, context, 100)
+  assert.strictEqual(received, context, 'calls onRotate with the context')
+  await assert.rejects(runOnRotate(() => sleep(200), context, 20), { message: 'onRotate timed out after 20ms' }, 'rejects on timeout')
+})
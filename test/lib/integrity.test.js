@@ -0,0 +1,143 @@
+'use strict'
+
+const { writeFile, readFile, stat, unlink, mkdir, rename } = require('fs/promises')
+const { createHash } = require('crypto')
+const { join } = require('path')
+const { gzipSync } = require('zlib')
+const { it, describe, beforeEach } = require('node:test')
+const assert = require('node:assert')
+
+const {
+  parseIntegrity,
+  getSidecarFileName,
+  writeSidecar,
+  readSidecar,
+  removeSidecars,
+  hashLogFile,
+  createChainHeader,
+  verify
+} = require('../../lib/integrity')
+const { createTempTestDir } = require('../utils')
+
+const sha256 = content => createHash('sha256').update(content).digest('hex')
+
+it('parseIntegrity()', async () => {
+  assert.strictEqual(parseIntegrity(), null, 'returns null without integrity')
+  assert.strictEqual(parseIntegrity(false), null, 'returns null when disabled')
+  assert.deepStrictEqual(parseIntegrity(true), { chain: false }, 'does not chain by default')
+  assert.deepStrictEqual(parseIntegrity({ chain: true }), { chain: true }, 'parses chain')
+  assert.throws(() => parseIntegrity('yes'), /integrity must be a boolean or an object/, 'throws on string')
+  assert.throws(() => parseIntegrity({ chain: 1 }), /integrity.chain must be a boolean/, 'throws on invalid chain')
+  assert.throws(() => parseIntegrity(true, true), /integrity can not be combined with shared/, 'throws with shared')
+})
+
+it('getSidecarFileName()', async () => {
+  assert.strictEqual(getSidecarFileName('logs/app.1.log'), 'logs/app.1.log.sha256', 'appends extension')
+  assert.strictEqual(getSidecarFileName('logs/app.1.log.gz'), 'logs/app.1.log.sha256', 'ignores compression')
+})
+
+it('writeSidecar(), readSidecar() and removeSidecars()', async () => {
+  const fileName = join(createTempTestDir(), 'app.1.log')
+  const hash = sha256('content')
+  await writeSidecar(fileName, hash)
+  assert.strictEqual(await readFile(`${fileName}.sha256`, 'utf8'), `${hash}  app.1.log\n`, 'writes sha256sum format')
+  assert.strictEqual(await readSidecar(fileName), hash, 'reads hash')
+  assert.strictEqual(await readSidecar(`${fileName}.gz`), hash, 'reads hash of compressed file')
+  await writeFile(`${fileName}.sha256`, 'invalid')
+  assert.strictEqual(await readSidecar(fileName), null, 'returns null on invalid file')
+  await removeSidecars([fileName])
+  await assert.rejects(stat(`${fileName}.sha256`), 'removes file')
+  assert.strictEqual(await readSidecar(fileName), null, 'returns null on missing file')
+})
+
+it('hashLogFile()', async () => {
+  const folder = createTempTestDir()
+  const content = 'header\nline 1\n'
+  await writeFile(join(folder, 'app.1.log'), content)
+  await writeFile(join(folder, 'app.2.log.gz'), gzipSync(content))
+  assert.deepStrictEqual(await hashLogFile(join(folder, 'app.1.log')), { hash: sha256(content), firstLine: 'header' }, 'hashes file')
+  assert.deepStrictEqual(await hashLogFile(join(folder, 'app.2.log.gz')), { hash: sha256(content), firstLine: 'header' }, 'hashes decompressed content')
+})
+
+it('createChainHeader()', async () => {
+  assert.deepStrictEqual(createChainHeader({ previousFile: 'logs/app.1.log', previousHash: 'abc' }), { previousFile: 'app.1.log', previousHash: 'abc' }, 'keeps file name')
+  assert.deepStrictEqual(createChainHeader({ previousFile: null, previousHash: null }), { previousFile: null, previousHash: null }, 'allows no previous file')
+})
+
+describe('verify()', () => {
+  let folder
+  const files = {}
+
+  beforeEach(async () => {
+    folder = createTempTestDir()
+    files[1] = 'line 1\n'
+    files[2] = `${JSON.stringify({ previousFile: 'app.1.log', previousHash: sha256(files[1]) })}\nline 2\n`
+    files[3] = `${JSON.stringify({ previousFile: 'app.2.log', previousHash: sha256(files[2]) })}\nline 3\n`
+    for (const number of [1, 2, 3]) {
+      await writeFile(join(folder, `app.${number}.log`), files[number])
+    }
+    await writeSidecar(join(folder, 'app.1.log'), sha256(files[1]))
+    await writeSidecar(join(folder, 'app.2.log'), sha256(files[2]))
+  })
+
+  it('accepts untouched files', async () => {
+    assert.deepStrictEqual(await verify(folder, { file: 'app.log', chain: true }), {
+      valid: true,
+      files: [1, 2, 3].map(number => join(folder, `app.${number}.log`)),
+      breaks: []
+    })
+  })
+
+  it('reports modified files', async () => {
+    await writeFile(join(folder, 'app.2.log'), files[2].replace('line 2', 'line X'))
+    assert.deepStrictEqual((await verify(folder, { file: 'app.log', chain: true })).breaks, [
+      { file: join(folder, 'app.2.log'), reason: 'checksum mismatch' },
+      { file: join(folder, 'app.3.log'), reason: 'chain broken' }
+    ])
+  })
+
+  it('reports modified files with their checksum', async () => {
+    const content = files[1].replace('line 1', 'line X')
+    await writeFile(join(folder, 'app.1.log'), content)
+    await writeSidecar(join(folder, 'app.1.log'), sha256(content))
+    assert.deepStrictEqual((await verify(folder, { file: 'app.log', chain: true })).breaks, [
+      { file: join(folder, 'app.2.log'), reason: 'chain broken' }
+    ])
+    assert.strictEqual((await verify(folder, { file: 'app.log' })).valid, true, 'ignores chain by default')
+  })
+
+  it('reports missing checksum', async () => {
+    await removeSidecars([join(folder, 'app.1.log')])
+    assert.deepStrictEqual((await verify(folder, { file: 'app.log' })).breaks, [
+      { file: join(folder, 'app.1.log'), reason: 'missing checksum' }
+    ])
+  })
+
+  it('skips removed files', async () => {
+    await removeSidecars([join(folder, 'app.1.log')])
+    await unlink(join(folder, 'app.1.log'))
+    assert.deepStrictEqual(await verify(folder, { file: 'app.log', chain: true }), {
+      valid: true,
+      files: [2, 3].map(number => join(folder, `app.${number}.log`)),
+      breaks: []
+    })
+  })
+
+  it('checks files of dated folders', async () => {
+    for (const [number, day] of [[1, '2026/10/18'], [2, '2026/10/19']]) {
+      await mkdir(join(folder, day), { recursive: true })
+      await rename(join(folder, `app.${number}.log`), join(folder, day, `app.${number}.log`))
+      await rename(join(folder, `app.${number}.log.sha256`), join(folder, day, `app.${number}.log.sha256`))
+    }
+    await writeFile(join(folder, '2026/10/18', 'app.1.log'), 'line X\n')
+    assert.deepStrictEqual(await verify(folder, { file: 'app.log', dirFormat: 'yyyy/MM/dd' }), {
+      valid: false,
+      files: [join(folder, '2026/10/18', 'app.1.log'), join(folder, '2026/10/19', 'app.2.log')],
+      breaks: [{ file: join(folder, '2026/10/18', 'app.1.log'), reason: 'checksum mismatch' }]
+    })
+  })
+
+  it('throws without file', async () => {
+    await assert.rejects(verify(folder), /No file name provided/)
+  })
+})
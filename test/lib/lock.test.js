@@ -0,0 +1,92 @@
+'use strict'
+
+const { writeFile, readFile, readdir, stat, utimes } = require('fs/promises')
+const { dirname, join } = require('path')
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+
+const { acquireLock, releaseLock, withLock, isStaleLock } = require('../../lib/lock')
+const { createTempTestDir, sleep } = require('../utils')
+
+// above the maximum pid on Linux, so not running
+const deadPid = 2 ** 30
+
+describe('acquireLock()', () => {
+  let lockFileName
+  beforeEach(() => {
+    lockFileName = join(createTempTestDir(), 'app.log.lock')
+  })
+
+  it('creates a lock file with the process pid', async () => {
+    await acquireLock(lockFileName)
+    assert.strictEqual(await readFile(lockFileName, 'utf8'), String(process.pid), 'writes pid')
+    await releaseLock(lockFileName)
+    await assert.rejects(stat(lockFileName), 'removes lock file')
+  })
+
+  it('waits until the lock is released', async () => {
+    await acquireLock(lockFileName)
+    let acquired = false
+    const pending = acquireLock(lockFileName).then(() => { acquired = true })
+    await sleep(50)
+    assert.strictEqual(acquired, false, 'does not acquire a held lock')
+    await releaseLock(lockFileName)
+    await pending
+    assert.strictEqual(acquired, true, 'acquires a released lock')
+  })
+
+  it('removes lock of a dead process', async () => {
+    await writeFile(lockFileName, String(deadPid))
+    await acquireLock(lockFileName, { timeout: 100 })
+    assert.strictEqual(await readFile(lockFileName, 'utf8'), String(process.pid), 'replaces stale lock')
+  })
+
+  it('removes lock older than stale timeout', async () => {
+    await writeFile(lockFileName, String(process.pid))
+    const past = new Date(Date.now() - 60000)
+    await utimes(lockFileName, past, past)
+    await acquireLock(lockFileName, { timeout: 100 })
+    assert.strictEqual(await readFile(lockFileName, 'utf8'), String(process.pid), 'replaces stale lock')
+  })
+
+  it('lets a single process take over a stale lock', async () => {
+    await writeFile(lockFileName, String(deadPid))
+    let holders = 0
+    let maxHolders = 0
+    await Promise.all(Array.from({ length: 5 }, () => withLock(lockFileName, async () => {
+      maxHolders = Math.max(maxHolders, ++holders)
+      await sleep(20)
+      holders--
+    }, { timeout: 1000 })))
+    assert.strictEqual(maxHolders, 1, 'holds lock once at a time')
+    assert.deepStrictEqual(await readdir(dirname(lockFileName)), [], 'removes renamed locks')
+  })
+
+  it('throws after timeout', async () => {
+    await acquireLock(lockFileName)
+    await assert.rejects(acquireLock(lockFileName, { timeout: 50 }), /Unable to acquire lock/)
+  })
+})
+
+it('isStaleLock()', async () => {
+  const lockFileName = join(createTempTestDir(), 'app.log.lock')
+  assert.strictEqual(await isStaleLock(lockFileName, 1000), false, 'missing lock is not stale')
+  await writeFile(lockFileName, '')
+  assert.strictEqual(await isStaleLock(lockFileName, 1000), false, 'lock without pid is not stale')
+  await writeFile(lockFileName, String(process.pid))
+  assert.strictEqual(await isStaleLock(lockFileName, 1000), false, 'lock of a running process is not stale')
+  await writeFile(lockFileName, String(deadPid))
+  assert.strictEqual(await isStaleLock(lockFileName, 1000), true, 'lock of a dead process is stale')
+})
+
+it('withLock()', async () => {
+  const lockFileName = join(createTempTestDir(), 'app.log.lock')
+  const result = await withLock(lockFileName, async () => {
+    await stat(lockFileName)
+    return 'done'
+  })
+  assert.strictEqual(result, 'done', 'resolves with function result')
+  await assert.rejects(stat(lockFileName), 'releases lock')
+  await assert.rejects(withLock(lockFileName, async () => { throw new Error('failed') }), /failed/)
+  await assert.rejects(stat(lockFileName), 'releases lock on error')
+})
@@ -0,0 +1,79 @@
+'use strict'
+
+const { it } = require('node:test')
+const assert = require('node:assert')
+
+const { createMetrics, getStats, formatMetrics } = require('../../lib/metrics')
+
+function buildStats (stats) {
+  return {
+    bytesWritten: 0,
+    rolls: { startup: 0, size: 0, lines: 0, frequency: 0, manual: 0 },
+    removedFiles: 0,
+    cleanupFailures: 0,
+    file: 'logs/app.1.log',
+    fileSize: 0,
+    fileAge: 0,
+    ...stats
+  }
+}
+
+it('createMetrics() and getStats()', async () => {
+  const metrics = createMetrics(10)
+  metrics.bytesWritten += 5
+  metrics.rolls.size++
+  const stats = getStats(metrics, 'logs/app.2.log')
+  assert.deepStrictEqual({ ...stats, fileAge: 0 }, buildStats({
+    bytesWritten: 5,
+    rolls: { startup: 0, size: 1, lines: 0, frequency: 0, manual: 0 },
+    file: 'logs/app.2.log',
+    fileSize: 10
+  }), 'reports counters and current file')
+  assert.ok(stats.fileAge >= 0, 'reports file age')
+  metrics.rolls.size++
+  assert.strictEqual(stats.rolls.size, 1, 'returns a snapshot')
+})
+
+it('formatMetrics() in Prometheus text format', async () => {
+  const stream = { stats: () => buildStats({ bytesWritten: 120, rolls: { startup: 0, size: 2, lines: 0, frequency: 1, manual: 0 }, removedFiles: 3, cleanupFailures: 1, fileSize: 40, fileAge: 1500 }) }
+  const lines = formatMetrics(stream).split('\n')
+  assert.deepStrictEqual(lines.slice(0, 3), [
+    '# HELP pino_roll_bytes_written_total Bytes written into log files.',
+    '# TYPE pino_roll_bytes_written_total counter',
+    'pino_roll_bytes_written_total 120'
+  ], 'formats counters')
+  assert.ok(lines.includes('pino_roll_rolls_total{reason="size"} 2'), 'reports rolls by reason')
+  assert.ok(lines.includes('pino_roll_rolls_total{reason="frequency"} 1'), 'reports all reasons')
+  assert.ok(lines.includes('pino_roll_cleanup_removed_files_total 3'), 'reports removed files')
+  assert.ok(lines.includes('pino_roll_cleanup_failures_total 1'), 'reports cleanup failures')
+  assert.ok(lines.includes('# TYPE pino_roll_file_size_bytes gauge'), 'formats gauges')
+  assert.ok(lines.includes('pino_roll_file_size_bytes 40'), 'reports file size')
+  assert.ok(lines.includes('pino_roll_file_age_seconds 1.5'), 'reports file age in seconds')
+  assert.strictEqual(lines.pop(), '', 'ends with a newline')
+  assert.ok(!lines.includes('# EOF'), 'does not end with EOF')
+})
+
+it('formatMetrics() with prefix, labels and OpenMetrics', async () => {
+  const stream = { stats: () => buildStats({ bytesWritten: 12 }) }
+  const lines = formatMetrics(stream, { prefix: 'app_logs', labels: { service: 'a"p\\i' }, openMetrics: true }).split('\n')
+  assert.ok(lines.includes('# TYPE app_logs_bytes_written counter'), 'describes counters without suffix')
+  assert.ok(lines.includes('app_logs_bytes_written_total{service="a\\"p\\\\i"} 12'), 'adds escaped labels to samples')
+  assert.ok(lines.includes('app_logs_rolls_total{service="a\\"p\\\\i",reason="size"} 0'), 'adds labels before reason')
+  assert.deepStrictEqual(lines.slice(-2), ['# EOF', ''], 'ends with EOF')
+})
+
+it('formatMetrics() of routers', async () => {
+  const routes = { error: {}, default: {} }
+  const router = {
+    routes,
+    stats: () => ({ error: buildStats({ bytesWritten: 1 }), default: buildStats({ bytesWritten: 2 }) })
+  }
+  const routeLines = formatMetrics(router).split('\n')
+  assert.ok(routeLines.includes('pino_roll_bytes_written_total{route="error"} 1'), 'labels route samples')
+  assert.ok(routeLines.includes('pino_roll_bytes_written_total{route="default"} 2'), 'reports all routes')
+
+  const partitions = new Map([['acme', buildStats({ bytesWritten: 3 })], [null, buildStats({ bytesWritten: 4 })]])
+  const partitionLines = formatMetrics({ partitions, stats: () => partitions }).split('\n')
+  assert.ok(partitionLines.includes('pino_roll_bytes_written_total{partition="acme"} 3'), 'labels partition samples')
+  assert.ok(partitionLines.includes('pino_roll_bytes_written_total{partition=""} 4'), 'labels lines without key')
+})
@@ -0,0 +1,46 @@
+'use strict'
+
+const { join } = require('path')
+const { it } = require('node:test')
+const assert = require('node:assert')
+
+const { parsePartitionBy, getPartitionKey, getPartitionFile } = require('../../lib/partitions')
+
+it('parsePartitionBy()', async () => {
+  assert.strictEqual(parsePartitionBy(), null, 'returns null when not set')
+  const byField = parsePartitionBy('tenant')
+  assert.strictEqual(byField.getKey({ tenant: 'acme' }), 'acme', 'reads the field')
+  assert.strictEqual(byField.maxOpen, 100, 'defaults maxOpen')
+  assert.strictEqual(byField.idleTimeout, 600000, 'defaults idleTimeout')
+  const byFunction = parsePartitionBy({ key: ({ req }) => req.tenant, maxOpen: 5, idleTimeout: '1m' })
+  assert.strictEqual(byFunction.getKey({ req: { tenant: 'acme' } }), 'acme', 'calls the function')
+  assert.strictEqual(byFunction.maxOpen, 5, 'parses maxOpen')
+  assert.strictEqual(byFunction.idleTimeout, 60000, 'parses idleTimeout')
+  assert.strictEqual(parsePartitionBy({ key: 'tenant', idleTimeout: 0 }).idleTimeout, 0, 'allows disabling idleTimeout')
+  assert.throws(() => parsePartitionBy(''), /partitionBy must be a field name or a function/, 'throws on empty field')
+  assert.throws(() => parsePartitionBy({ maxOpen: 5 }), /partitionBy must be a field name or a function/, 'throws on missing key')
+  assert.throws(() => parsePartitionBy({ key: 'tenant', maxOpen: 1.5 }), /partitionBy.maxOpen must be an integer greater than 0/, 'throws on invalid maxOpen')
+  assert.throws(() => parsePartitionBy({ key: 'tenant', idleTimeout: 'soon' }), /soon is not a valid duration/, 'throws on invalid idleTimeout')
+  assert.throws(() => parsePartitionBy('tenant', { routes: {} }), /partitionBy can not be combined with routes/, 'throws on routes')
+  assert.throws(() => parsePartitionBy('tenant', { symlink: true }), /partitionBy can not be combined with symlink/, 'throws on symlink')
+})
+
+it('getPartitionKey()', async () => {
+  const getKey = ({ tenant }) => tenant
+  assert.strictEqual(getPartitionKey('{"tenant":"acme"}\n', getKey), 'acme', 'returns the key')
+  assert.strictEqual(getPartitionKey('{"tenant":42}\n', getKey), '42', 'converts keys to strings')
+  assert.strictEqual(getPartitionKey('{"tenant":"a/b c"}\n', getKey), 'a_b_c', 'replaces unsafe characters')
+  assert.strictEqual(getPartitionKey('{"tenant":".."}\n', getKey), '__', 'replaces relative folders')
+  assert.strictEqual(getPartitionKey('{"tenant":""}\n', getKey), null, 'returns null for empty keys')
+  assert.strictEqual(getPartitionKey('{"msg":"no tenant"}\n', getKey), null, 'returns null without key')
+  assert.strictEqual(getPartitionKey('not json\n', getKey), null, 'returns null for other lines')
+})
+
+it('getPartitionFile()', async () => {
+  assert.strictEqual(getPartitionFile(join('logs', 'app.log'), 'acme'), join('logs', 'app-acme.log'), 'appends the key to the file name')
+  assert.strictEqual(getPartitionFile(join('logs', 'app'), 'acme'), join('logs', 'app-acme.log'), 'uses the default extension')
+  assert.strictEqual(getPartitionFile(join('logs', 'app.log'), null), join('logs', 'app.log'), 'uses the file without key')
+  const file = key => join('logs', key ?? 'other', 'app.log')
+  assert.strictEqual(getPartitionFile(file, 'acme'), join('logs', 'acme', 'app.log'), 'calls file function with the key')
+  assert.strictEqual(getPartitionFile(file, null), join('logs', 'other', 'app.log'), 'calls file function without key')
+})
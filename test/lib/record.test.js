@@ -0,0 +1,49 @@
+'use strict'
+
+const { writeFile } = require('fs/promises')
+const { createHash } = require('crypto')
+const { join } = require('path')
+const { it } = require('node:test')
+const assert = require('node:assert')
+
+const { validateRecords, formatRecord, createFileStats, readFileStats, updateFileStats } = require('../../lib/record')
+const { createTempTestDir } = require('../utils')
+
+it('validateRecords()', async () => {
+  assert.doesNotThrow(() => validateRecords(), 'allows no records')
+  assert.doesNotThrow(() => validateRecords('header', () => 'footer'), 'allows strings and functions')
+  assert.doesNotThrow(() => validateRecords('header', undefined, true), 'allows header with shared')
+  assert.throws(() => validateRecords(12), /header must be a string or a function/, 'throws on invalid header')
+  assert.throws(() => validateRecords(undefined, {}), /footer must be a string or a function/, 'throws on invalid footer')
+  assert.throws(() => validateRecords(undefined, 'footer', true), /footer can not be combined with shared/, 'throws on footer with shared')
+  assert.doesNotThrow(() => validateRecords('header', undefined, false, true), 'allows header with strictSize')
+  assert.throws(() => validateRecords(undefined, 'footer', false, true), /footer can not be combined with strictSize/, 'throws on footer with strictSize')
+})
+
+it('formatRecord()', async () => {
+  assert.strictEqual(formatRecord('header', {}), 'header\n', 'appends newline')
+  assert.strictEqual(formatRecord('header\n', {}), 'header\n', 'keeps existing newline')
+  assert.strictEqual(formatRecord(({ file }) => `file: ${file}`, { file: 'log.1.log' }), 'file: log.1.log\n', 'calls function with context')
+  assert.strictEqual(formatRecord(({ file }) => ({ file }), { file: 'log.1.log' }), '{"file":"log.1.log"}\n', 'serializes objects')
+})
+
+it('readFileStats()', async () => {
+  const folder = createTempTestDir()
+  const content = 'line 1\nline 2\n'
+  await writeFile(join(folder, 'file.1.log'), content)
+  const stats = await readFileStats(join(folder, 'file.1.log'))
+  assert.strictEqual(stats.lines, 2, 'counts lines')
+  assert.strictEqual(stats.size, content.length, 'counts bytes')
+  assert.strictEqual(stats.hash.digest('hex'), createHash('sha256').update(content).digest('hex'), 'hashes content')
+  const missingStats = await readFileStats(join(folder, 'file.2.log'))
+  assert.deepStrictEqual([missingStats.lines, missingStats.size], [0, 0], 'returns empty stats of missing file')
+})
+
+it('updateFileStats()', async () => {
+  const stats = createFileStats()
+  updateFileStats(stats, 'line 1\n')
+  updateFileStats(stats, Buffer.from('line 2\n'))
+  assert.strictEqual(stats.lines, 2, 'counts lines')
+  assert.strictEqual(stats.size, 14, 'counts bytes')
+  assert.strictEqual(stats.hash.digest('hex'), createHash('sha256').update('line 1\nline 2\n').digest('hex'), 'hashes data')
+})
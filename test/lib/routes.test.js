@@ -0,0 +1,25 @@
+'use strict'
+
+const { it } = require('node:test')
+const assert = require('node:assert')
+
+const { validateRoutes, getLevel } = require('../../lib/routes')
+
+it('validateRoutes()', async () => {
+  assert.doesNotThrow(() => validateRoutes({ error: { file: 'error.log' }, default: { file: 'app.log' } }), 'allows routes with their own file')
+  assert.doesNotThrow(() => validateRoutes({ error: { file: 'error.log' }, default: {} }, 'app.log'), 'allows routes using the shared file')
+  assert.throws(() => validateRoutes(), /routes must be a non empty object/, 'throws on missing routes')
+  assert.throws(() => validateRoutes([]), /routes must be a non empty object/, 'throws on arrays')
+  assert.throws(() => validateRoutes({ error: null }), /routes.error must be an object/, 'throws on invalid route')
+  assert.throws(() => validateRoutes({ error: { file: 'app.log' }, default: {} }, 'app.log'), /routes.error and routes.default can not write into the same file/, 'throws on shared file')
+  assert.doesNotThrow(() => validateRoutes({ error: { file: 'error.log', stateFile: 'error.json' }, default: { file: 'app.log' } }, undefined, 'app.json'), 'allows routes with their own state file')
+  assert.throws(() => validateRoutes({ error: { file: 'error.log' }, default: { file: 'app.log' } }, undefined, 'app.json'), /routes.error and routes.default can not write into the same stateFile/, 'throws on shared state file')
+  assert.throws(() => validateRoutes({ error: { file: 'error.log', stateFile: 'state.json' }, default: { file: 'app.log', stateFile: './state.json' } }), /routes.error and routes.default can not write into the same stateFile/, 'throws on same state file')
+})
+
+it('getLevel()', async () => {
+  assert.strictEqual(getLevel('{"level":50,"msg":"error"}'), '50', 'extracts numeric levels')
+  assert.strictEqual(getLevel('{"level":"warn","msg":"warn"}'), 'warn', 'extracts labels')
+  assert.strictEqual(getLevel('{"msg":"no level"}'), null, 'returns null without level')
+  assert.strictEqual(getLevel('not json'), null, 'returns null on other lines')
+})
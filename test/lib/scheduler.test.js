@@ -0,0 +1,44 @@
+'use strict'
+
+const { it } = require('node:test')
+const assert = require('node:assert')
+
+const { createScheduler } = require('../../lib/scheduler')
+const { sleep } = require('../utils')
+
+it('createScheduler() runs tasks in time order', async () => {
+  const scheduler = createScheduler()
+  const runs = []
+  const now = Date.now()
+  scheduler.schedule(now + 40, () => runs.push('second'))
+  scheduler.schedule(now + 20, () => runs.push('first'))
+  scheduler.schedule(now + 40, () => runs.push('third'))
+  await sleep(80)
+  assert.deepStrictEqual(runs, ['first', 'second', 'third'], 'runs all tasks in order')
+})
+
+it('createScheduler() waits for far away tasks', async () => {
+  const scheduler = createScheduler()
+  const runs = []
+  const warnings = []
+  const onWarning = warning => warnings.push(warning)
+  process.on('warning', onWarning)
+  const task = scheduler.schedule(Date.now() + 40 * 24 * 60 * 60 * 1000, () => runs.push('far away'))
+  await sleep(50)
+  scheduler.cancel(task)
+  process.off('warning', onWarning)
+  assert.deepStrictEqual(runs, [], 'does not run the task early')
+  assert.deepStrictEqual(warnings.map(({ name }) => name), [], 'does not overflow timer delay')
+})
+
+it('createScheduler() cancels tasks', async () => {
+  const scheduler = createScheduler()
+  const runs = []
+  const now = Date.now()
+  const task = scheduler.schedule(now + 20, () => runs.push('cancelled'))
+  scheduler.schedule(now + 30, () => runs.push('kept'))
+  scheduler.cancel(task)
+  scheduler.cancel(task)
+  await sleep(60)
+  assert.deepStrictEqual(runs, ['kept'], 'only runs tasks not cancelled')
+})
@@ -0,0 +1,47 @@
+'use strict'
+
+const { writeFile, readFile, readdir } = require('fs/promises')
+const { dirname, join } = require('path')
+const { it } = require('node:test')
+const assert = require('node:assert')
+
+const { validateStateFile, readState, writeState } = require('../../lib/state')
+const { createTempTestDir } = require('../utils')
+
+it('validateStateFile()', async () => {
+  assert.doesNotThrow(() => validateStateFile(), 'allows no state file')
+  assert.doesNotThrow(() => validateStateFile('state.json'), 'allows a path')
+  assert.throws(() => validateStateFile(''), /stateFile must be a non empty string/, 'throws on empty string')
+  assert.throws(() => validateStateFile(12), /stateFile must be a non empty string/, 'throws on non string')
+})
+
+it('readState()', async () => {
+  const stateFile = join(createTempTestDir(), 'state.json')
+  assert.strictEqual(await readState(stateFile), null, 'returns null on missing file')
+  await writeFile(stateFile, 'not json')
+  assert.strictEqual(await readState(stateFile), null, 'returns null on corrupt file')
+  await writeFile(stateFile, JSON.stringify({ fileName: 'log.1.log', number: 0, periodStart: null, createdFileNames: [] }))
+  assert.strictEqual(await readState(stateFile), null, 'returns null on invalid number')
+  await writeFile(stateFile, JSON.stringify({ fileName: 'log.1.log', number: 1, periodStart: '0', createdFileNames: [] }))
+  assert.strictEqual(await readState(stateFile), null, 'returns null on invalid period start')
+  await writeFile(stateFile, JSON.stringify({ fileName: 'log.1.log', number: 1, periodStart: null, createdFileNames: [1] }))
+  assert.strictEqual(await readState(stateFile), null, 'returns null on invalid created files')
+  await writeFile(stateFile, JSON.stringify({ fileName: 'log.1.log', number: 1, periodStart: null, createdFileNames: [], pendingArchives: {} }))
+  assert.strictEqual(await readState(stateFile), null, 'returns null on invalid pending archives')
+  const state = { fileName: 'log.2.log', number: 2, periodStart: 1000, createdFileNames: ['log.1.log', 'log.2.log'] }
+  await writeFile(stateFile, JSON.stringify(state))
+  assert.deepStrictEqual(await readState(stateFile), state, 'returns valid state')
+  await writeFile(stateFile, JSON.stringify({ ...state, pendingArchives: ['/logs/log.1.log'] }))
+  assert.deepStrictEqual(await readState(stateFile), { ...state, pendingArchives: ['/logs/log.1.log'] }, 'returns pending archives')
+})
+
+it('writeState()', async () => {
+  const stateFile = join(createTempTestDir(), 'state.json')
+  const state = { fileName: 'log.2.log', number: 2, periodStart: null, createdFileNames: ['log.1.log', 'log.2.log'], pendingArchives: ['/logs/log.1.log'] }
+  await writeState(stateFile, { ...state, other: true })
+  assert.deepStrictEqual(JSON.parse(await readFile(stateFile, 'utf8')), state, 'writes state')
+  const writes = Array.from({ length: 5 }, (_, index) => writeState(stateFile, { ...state, number: index + 1 }))
+  await Promise.all(writes)
+  assert.ok([1, 2, 3, 4, 5].includes(JSON.parse(await readFile(stateFile, 'utf8')).number), 'writes state concurrently')
+  assert.deepStrictEqual(await readdir(dirname(stateFile)), ['state.json'], 'removes temporary files')
+})
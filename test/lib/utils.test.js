@@ -1,30 +1,56 @@
 'use strict'
 
-const { addDays, addHours, startOfDay, startOfHour } = require('date-fns')
-const { writeFile, rm, stat, readlink, symlink } = require('fs/promises')
-const { join } = require('path')
+const { addMinutes, addDays, addHours, addWeeks, addMonths, startOfMinute, startOfDay, startOfHour, startOfWeek, startOfMonth } = require('date-fns')
+const { writeFile, rm, stat, readlink, symlink, mkdir, readdir } = require('fs/promises')
+const { join, relative, resolve } = require('path')
 const { describe, it, beforeEach } = require('node:test')
 const assert = require('node:assert')
 const { format } = require('date-fns')
 const MockDate = require('mockdate')
+const { TZDate } = require('@date-fns/tz')
 
 const {
   buildFileName,
+  buildActiveFileName,
   checkSymlink,
   createSymlink,
+  createSymlinkSync,
+  validateSymlinkOptions,
   extractFileName,
   getFileSize,
+  countLines,
+  countFileLines,
+  validateMaxLines,
+  splitLinesToFit,
+  validateStrictSize,
   detectLastNumber,
   getNext,
   parseFrequency,
   parseSize,
+  parseDuration,
   getFileName,
   validateLimitOptions,
+  validateCompress,
+  isCompressed,
+  isRotatedFile,
+  removeCompressExtension,
+  validateMode,
+  validateShared,
+  validateRollOnStartup,
   validateDateFormat,
+  validateDirFormat,
+  buildPeriodFile,
+  parseLogDir,
+  removeEmptyDirs,
+  prepareFileDir,
+  removeOldFiles,
+  validateTimezone,
   parseDate,
   identifyLogFile,
+  listLogFiles,
   sanitizeFile,
-  validateFileName
+  validateFileName,
+  validateFileNamePattern
 } = require('../../lib/utils')
 const { createTempTestDir, sleep } = require('../utils')
 
@@ -42,6 +68,19 @@ it('parseSize()', async () => {
   assert.throws(() => parseSize('null'), 'throws on non parseable string')
 })
 
+it('parseDuration()', async () => {
+  assert.strictEqual(parseDuration(500), 500, 'considers numerical input as milliseconds')
+  assert.strictEqual(parseDuration('500'), 500, 'considers no unit as milliseconds')
+  assert.strictEqual(parseDuration('250ms'), 250, 'handles input in milliseconds')
+  assert.strictEqual(parseDuration('30s'), 30 * 1000, 'handles input in seconds')
+  assert.strictEqual(parseDuration('15m'), 15 * 60 * 1000, 'handles input in minutes')
+  assert.strictEqual(parseDuration('1.5h'), 1.5 * 60 * 60 * 1000, 'handles input in hours')
+  assert.strictEqual(parseDuration('14D'), 14 * 24 * 60 * 60 * 1000, 'handles input in days, capital')
+  assert.strictEqual(parseDuration('2w'), 14 * 24 * 60 * 60 * 1000, 'handles input in weeks')
+  assert.throws(() => parseDuration(''), { message: ' is not a valid duration' }, 'throws on empty string')
+  assert.throws(() => parseDuration('14 days'), { message: '14 days is not a valid duration' }, 'throws on non parseable string')
+})
+
 it('parseFrequency()', async () => {
   const today = new Date()
 
@@ -64,7 +103,28 @@ it('parseFrequency()', async () => {
     { frequency: custom, start, next },
     'supports custom frequency'
   )
+  assert.deepStrictEqual(
+    parseFrequency('monthly'),
+    { frequency: 'monthly', start: startOfMonth(today).getTime(), next: startOfMonth(addMonths(today, 1)).getTime() },
+    'supports monthly frequency'
+  )
+  assert.deepStrictEqual(
+    parseFrequency('weekly'),
+    { frequency: 'weekly', start: startOfWeek(today, { weekStartsOn: 1 }).getTime(), next: startOfWeek(addWeeks(today, 1), { weekStartsOn: 1 }).getTime() },
+    'supports weekly frequency, starting on Monday'
+  )
+  assert.deepStrictEqual(
+    parseFrequency('minutely'),
+    { frequency: 'minutely', start: startOfMinute(today).getTime(), next: startOfMinute(addMinutes(today, 1)).getTime() },
+    'supports minutely frequency'
+  )
+  assert.deepStrictEqual(
+    parseFrequency('0 0 * * *'),
+    { frequency: '0 0 * * *', start: startOfDay(today).getTime(), next: startOfDay(addDays(today, 1)).getTime() },
+    'supports cron expression'
+  )
   assert.throws(() => parseFrequency('null'), 'throws on non parseable string')
+  assert.throws(() => parseFrequency('0 25 * * *'), { message: '0 25 * * * is not a valid cron expression' }, 'throws on invalid cron expression')
 })
 
 it('getNext()', async () => {
@@ -76,6 +136,10 @@ it('getNext()', async () => {
   const time = Date.now()
   const next = time - time % custom + custom
   assert.deepStrictEqual(getNext(custom), next, 'supports custom frequency')
+  assert.deepStrictEqual(getNext('monthly'), startOfMonth(addMonths(today, 1)).getTime(), 'supports monthly frequency')
+  assert.deepStrictEqual(getNext('weekly'), startOfWeek(addWeeks(today, 1), { weekStartsOn: 1 }).getTime(), 'supports weekly frequency')
+  assert.deepStrictEqual(getNext('minutely'), startOfMinute(addMinutes(today, 1)).getTime(), 'supports minutely frequency')
+  assert.deepStrictEqual(getNext('0 * * * *'), startOfHour(addHours(today, 1)).getTime(), 'supports cron expression')
 })
 
 it('getNext() on dates transitioning from DST to Standard Time', async () => {
@@ -138,6 +202,62 @@ it('getNext() on dates transitioning from Standard Time to DST', async () => {
   }
 })
 
+it('parseFrequency() with timezone', async () => {
+  MockDate.set('2026-10-19T23:30:00.000Z')
+  try {
+    assert.deepStrictEqual(
+      parseFrequency('daily', 'UTC'),
+      { frequency: 'daily', start: Date.parse('2026-10-19T00:00:00.000Z'), next: Date.parse('2026-10-20T00:00:00.000Z') },
+      'supports daily frequency in UTC'
+    )
+    assert.deepStrictEqual(
+      parseFrequency('daily', 'Europe/Paris'),
+      { frequency: 'daily', start: Date.parse('2026-10-19T22:00:00.000Z'), next: Date.parse('2026-10-20T22:00:00.000Z') },
+      'supports daily frequency in Paris'
+    )
+    assert.deepStrictEqual(
+      parseFrequency('hourly', 'Asia/Kolkata'),
+      { frequency: 'hourly', start: Date.parse('2026-10-19T23:30:00.000Z'), next: Date.parse('2026-10-20T00:30:00.000Z') },
+      'supports hourly frequency in timezones with half hour offset'
+    )
+    assert.deepStrictEqual(
+      parseFrequency('0 2 * * *', 'Europe/Paris'),
+      { frequency: '0 2 * * *', start: Date.parse('2026-10-19T00:00:00.000Z'), next: Date.parse('2026-10-20T00:00:00.000Z') },
+      'supports cron expression in Paris'
+    )
+  } finally {
+    MockDate.reset()
+  }
+})
+
+it('getNext() with timezone across DST transitions', async () => {
+  const data = [
+    // on October 25th 2026, Paris clocks go back from 03:00 to 02:00: the day lasts 25 hours
+    { tz: 'Europe/Paris', mockDate: '2026-10-25T10:00:00.000Z', nextDay: '2026-10-25T23:00:00.000Z', nextMonth: '2026-10-31T23:00:00.000Z' },
+    // on March 8th 2026, New York clocks jump from 02:00 to 03:00: the day lasts 23 hours
+    { tz: 'America/New_York', mockDate: '2026-03-08T12:00:00.000Z', nextDay: '2026-03-09T04:00:00.000Z', nextMonth: '2026-04-01T04:00:00.000Z' }
+  ]
+  for (const d of data) {
+    MockDate.set(d.mockDate)
+    try {
+      assert.strictEqual(getNext('daily', d.tz), Date.parse(d.nextDay), `supports daily frequency in ${d.tz}`)
+      assert.strictEqual(getNext('monthly', d.tz), Date.parse(d.nextMonth), `supports monthly frequency in ${d.tz}`)
+      assert.strictEqual(getNext('0 0 * * *', d.tz), Date.parse(d.nextDay), `supports cron expression in ${d.tz}`)
+      assert.strictEqual(getNext('hourly', d.tz), Date.parse(d.mockDate) + 60 * 60 * 1000, `supports hourly frequency in ${d.tz}`)
+    } finally {
+      MockDate.reset()
+    }
+  }
+})
+
+it('validateTimezone()', async () => {
+  assert.doesNotThrow(() => validateTimezone(), 'allows no timezone')
+  assert.doesNotThrow(() => validateTimezone('UTC'), 'allows UTC')
+  assert.doesNotThrow(() => validateTimezone('Europe/Paris'), 'allows IANA names')
+  assert.throws(() => validateTimezone('Mars/Olympus'), { message: 'Mars/Olympus is not a valid timezone' }, 'throws on unknown timezone')
+  assert.throws(() => validateTimezone(2), { message: '2 is not a valid timezone' }, 'throws on non string timezone')
+})
+
 it('getFileName()', async () => {
   const strFunc = () => 'my-func'
   assert.throws(getFileName, 'throws on empty input')
@@ -157,6 +277,79 @@ it('buildFileName()', async () => {
   assert.strictEqual(buildFileName('my-file', '2024-09-26', 5, ext), 'my-file.2024-09-26.5.json', 'appends date, number and extension')
 })
 
+it('buildActiveFileName()', async () => {
+  assert.strictEqual(buildActiveFileName('logs/app', 'log'), 'logs/app.log', 'appends extension')
+  assert.strictEqual(buildActiveFileName(() => 'my-func', '.json'), 'my-func.json', 'supports dot prefixed extension')
+  assert.strictEqual(buildActiveFileName('app'), 'app', 'supports no extension')
+})
+
+it('validateMode()', async () => {
+  assert.doesNotThrow(() => validateMode(), 'allows no mode')
+  assert.doesNotThrow(() => validateMode('number'), 'allows number')
+  assert.doesNotThrow(() => validateMode('rename'), 'allows rename')
+  assert.throws(() => validateMode('copy'), /mode must be 'number' or 'rename'/, 'throws on unknown mode')
+})
+
+it('validateShared()', async () => {
+  assert.doesNotThrow(() => validateShared(), 'allows no value')
+  assert.doesNotThrow(() => validateShared(true), 'allows boolean')
+  assert.throws(() => validateShared('true'), /shared must be a boolean/, 'throws on non boolean')
+  assert.doesNotThrow(() => validateShared(false, { compress: 'gzip' }), 'allows compress without shared')
+  assert.throws(() => validateShared(true, { compress: 'gzip' }), /shared can not be combined with compress/, 'throws on compress')
+  assert.throws(() => validateShared(true, { encryption: { key: 'key' } }), /shared can not be combined with encryption/, 'throws on encryption')
+  assert.throws(() => validateShared(true, { archive: { adapter: 'fs', dir: 'archive' } }), /shared can not be combined with archive/, 'throws on archive')
+  assert.throws(() => validateShared(true, { rollOnStartup: true }), /shared can not be combined with rollOnStartup/, 'throws on rollOnStartup')
+})
+
+it('validateRollOnStartup()', async () => {
+  assert.doesNotThrow(() => validateRollOnStartup(), 'allows no value')
+  assert.doesNotThrow(() => validateRollOnStartup(false), 'allows boolean')
+  assert.throws(() => validateRollOnStartup(1), /rollOnStartup must be a boolean/, 'throws on non boolean')
+})
+
+it('buildFileName() with fileNamePattern', async () => {
+  const pattern = '{base}-{date}-{number:3}{ext}'
+  assert.strictEqual(buildFileName('logs/app', '2024-09-26', 5, 'log', pattern), 'logs/app-2024-09-26-005.log', 'applies pattern with padding')
+  assert.strictEqual(buildFileName('logs/app', '2024-09-26', 1234, 'log', pattern), 'logs/app-2024-09-26-1234.log', 'does not truncate numbers')
+  assert.strictEqual(buildFileName('logs/app', null, 5, 'log', pattern), 'logs/app-005.log', 'removes date and its separator')
+  assert.strictEqual(buildFileName('app', null, 5, undefined, pattern), 'app-005', 'removes extension')
+  assert.strictEqual(buildFileName('app', '2024-09-26', 2, '.json', '{date}_{base}.{number}{ext}'), '2024-09-26_app.2.json', 'supports date first')
+  assert.strictEqual(buildFileName('app', null, 2, '.json', '{date}_{base}.{number}{ext}'), 'app.2.json', 'removes leading date and its separator')
+  assert.strictEqual(buildFileName('./logs/app', null, 1, 'log', pattern), './logs/app-001.log', 'keeps the given folder')
+})
+
+it('validateFileNamePattern()', async () => {
+  assert.doesNotThrow(() => validateFileNamePattern(), 'allows no pattern')
+  assert.doesNotThrow(() => validateFileNamePattern('{base}.{date}.{number}{ext}'), 'allows default pattern')
+  assert.throws(() => validateFileNamePattern(12), /fileNamePattern must be a string/, 'throws on non string')
+  assert.throws(() => validateFileNamePattern('{date}.{number}'), /is not a valid file name pattern/, 'throws without base')
+  assert.throws(() => validateFileNamePattern('{base}.{date}'), /is not a valid file name pattern/, 'throws without number')
+  assert.throws(() => validateFileNamePattern('{base}.{number}.{number}'), /is not a valid file name pattern/, 'throws on repeated number')
+  assert.throws(() => validateFileNamePattern('{base}.{time}.{number}'), /is not a valid file name pattern/, 'throws on unknown token')
+  assert.throws(() => validateFileNamePattern('{base:2}.{number}'), /is not a valid file name pattern/, 'throws on padded base')
+  assert.throws(() => validateFileNamePattern('{base}/{number}'), /is not a valid file name pattern/, 'throws on path separator')
+  assert.doesNotThrow(() => validateFileNamePattern('{base}-{date}-{number}{ext}', 'yyyy-MM-dd'), 'allows date with dateFormat')
+  assert.throws(() => validateFileNamePattern('{base}-{number}{ext}', 'yyyy-MM-dd'), /fileNamePattern must contain {date} when dateFormat is set/, 'throws without date with dateFormat')
+})
+
+it('identifyLogFiles() with fileNamePattern', async () => {
+  const pattern = '{base}-{date}-{number:3}{ext}'
+  let b = buildFileName('my-file', '2024-09-26', 5, 'log', pattern)
+  assert.deepStrictEqual(
+    identifyLogFile(b, 'my-file', 'yyyy-MM-dd', 'log', undefined, pattern),
+    { fileName: b, fileTime: new Date(2024, 8, 26).getTime(), fileNumber: 5 },
+    'date+number+extension'
+  )
+  b = buildFileName('my-file', null, 12, 'log', pattern)
+  assert.strictEqual(identifyLogFile(b, 'my-file', null, 'log', undefined, pattern).fileNumber, 12, 'number+extension')
+  assert.strictEqual(identifyLogFile(`${b}.gz`, 'my-file', null, 'log', undefined, pattern).fileNumber, 12, 'compressed')
+  assert.ok(!identifyLogFile('my-file-2024-09-31-005.log', 'my-file', 'yyyy-MM-dd', 'log', undefined, pattern), 'invalid date')
+  assert.ok(!identifyLogFile('my-file-2024-09-26-05.log', 'my-file', 'yyyy-MM-dd', 'log', undefined, pattern), 'number not padded')
+  assert.ok(!identifyLogFile('my-file.2024-09-26.5.log', 'my-file', 'yyyy-MM-dd', 'log', undefined, pattern), 'default naming')
+  assert.ok(!identifyLogFile('other-2024-09-26-005.log', 'my-file', 'yyyy-MM-dd', 'log', undefined, pattern), 'other base file name')
+  assert.strictEqual(identifyLogFile('my-file-1.log', 'my-file', 'yyyy-MM-dd', 'log', undefined, '{base}-{number}{ext}').fileTime, 0, 'pattern without date')
+})
+
 it('identifyLogFiles()', async () => {
   const ext = 'json'
   let b
@@ -179,9 +372,15 @@ it('identifyLogFiles()', async () => {
   assert.ok(!identifyLogFile(b, 'my-file', 'yyyy-MM-dd', ext).fileName, 'number+invalid date+extension')
   b = buildFileName('my-file', '2024-09-26', 5, 'notMyExtension')
   assert.ok(!identifyLogFile(b, 'my-file', 'yyyy-MM-dd', ext), 'number+date+invalid extension')
+  assert.ok(identifyLogFile('my-file.2024-09-26.5.json.gz.enc', 'my-file', 'yyyy-MM-dd', ext), 'number+date+extension, compressed and encrypted')
   assert.ok(!identifyLogFile('my-file.log', 'my-file'), 'invalid number in file name')
   assert.ok(!identifyLogFile('not any file can be log.txt', 'my-file'), 'invalid base file name')
   assert.ok(!identifyLogFile('my-file.extrasegment.txt', 'my-file'), 'unequal segment with expected')
+  b = `${buildFileName('my-file', '2024-09-26', 5, ext)}.gz`
+  assert.strictEqual(identifyLogFile(b, 'my-file', 'yyyy-MM-dd', ext).fileNumber, 5, 'number+date+extension, gzipped')
+  b = `${buildFileName('my-file', null, 3, ext)}.br`
+  assert.strictEqual(identifyLogFile(b, 'my-file', null, ext).fileName, b, 'number+extension, brotli compressed')
+  assert.ok(!identifyLogFile('my-file.5.json.zip', 'my-file', null, ext), 'unknown compression')
 })
 
 it('validateDateFormat()', async () => {
@@ -192,12 +391,43 @@ it('validateDateFormat()', async () => {
   assert.throws(() => validateDateFormat('2024<09>26'), 'throws on invalid date format with <>')
 })
 
+it('validateDirFormat()', async () => {
+  assert.doesNotThrow(() => validateDirFormat(), 'allows no dirFormat')
+  assert.doesNotThrow(() => validateDirFormat('yyyy/MM/dd', 'daily'), 'allows nested folders')
+  assert.throws(() => validateDirFormat('', 'daily'), /dirFormat must be a non empty string/, 'throws on empty format')
+  assert.throws(() => validateDirFormat('/yyyy', 'daily'), /contains invalid characters/, 'throws on absolute folders')
+  assert.throws(() => validateDirFormat('yyyy/../MM', 'daily'), /contains invalid characters/, 'throws on relative folders')
+  assert.throws(() => validateDirFormat('yyyy\\MM', 'daily'), /contains invalid characters/, 'throws on backslashes')
+  assert.throws(() => validateDirFormat('yyyy/MM'), /dirFormat requires frequency/, 'throws without frequency')
+  assert.throws(() => validateDirFormat('yyyy/MM', 'daily', 'rename'), /dirFormat can not be combined with mode rename/, 'throws on mode rename')
+  assert.throws(() => validateDirFormat('yyyy/MM', 'daily', 'number', true), /dirFormat can not be combined with shared/, 'throws on shared')
+})
+
+it('buildPeriodFile()', async () => {
+  assert.strictEqual(buildPeriodFile(join('logs', 'app'), '2026/10/19'), join('logs', '2026', '10', '19', 'app'), 'inserts the folder')
+  assert.strictEqual(buildPeriodFile(() => join('logs', 'app'), '2026/10/19'), join('logs', '2026', '10', '19', 'app'), 'calls file function')
+  assert.strictEqual(buildPeriodFile(join('logs', 'app'), null), join('logs', 'app'), 'keeps file without folder')
+})
+
+it('parseLogDir()', async () => {
+  assert.strictEqual(parseLogDir('2026/10/19', 'yyyy/MM/dd'), new Date(2026, 9, 19).getTime(), 'parses the folder time')
+  assert.strictEqual(parseLogDir(join('2026', '10', '19'), 'yyyy/MM/dd'), new Date(2026, 9, 19).getTime(), 'parses platform paths')
+  assert.strictEqual(parseLogDir('2026/10/19', 'yyyy/MM/dd', 'UTC'), Date.parse('2026-10-19T00:00:00.000Z'), 'parses in timezone')
+  assert.strictEqual(parseLogDir('2026/10', 'yyyy/MM/dd'), null, 'returns null on other depths')
+  assert.strictEqual(parseLogDir('2026/13/19', 'yyyy/MM/dd'), null, 'returns null on invalid dates')
+  assert.strictEqual(parseLogDir('archive', 'yyyy'), null, 'returns null on other folders')
+})
+
 it('parseDate()', async () => {
   const today = new Date()
   const frequencySpec = { frequency: 'hourly', start: startOfHour(today).getTime(), next: startOfHour(addHours(today, 1)).getTime() }
   assert.strictEqual(parseDate(null, frequencySpec), null, 'returns null on empty format')
   assert.strictEqual(parseDate('yyyy-MM-dd-hh', frequencySpec, true), format(frequencySpec.start, 'yyyy-MM-dd-hh'), 'parse start date time')
   assert.strictEqual(parseDate('yyyy-MM-dd-hh', frequencySpec), format(frequencySpec.next, 'yyyy-MM-dd-hh'), 'parse next date time')
+  const utcSpec = { frequency: 'daily', start: Date.parse('2026-10-19T22:00:00.000Z'), next: Date.parse('2026-10-20T22:00:00.000Z') }
+  assert.strictEqual(parseDate('yyyy-MM-dd-HH', utcSpec, true, 'UTC'), '2026-10-19-22', 'parse start date time in UTC')
+  assert.strictEqual(parseDate('yyyy-MM-dd-HH', utcSpec, true, 'Europe/Paris'), '2026-10-20-00', 'parse start date time in Paris')
+  assert.strictEqual(parseDate('yyyy-MM-dd', utcSpec, false, 'Europe/Paris'), format(new TZDate(utcSpec.next, 'Europe/Paris'), 'yyyy-MM-dd'), 'parse next date in Paris')
   assert.throws(() => parseDate('yyyy-MM-dd-hhU', frequencySpec), 'throws on invalid date format with character U')
   assert.throws(() => parseDate('yyyy-MM-dd-hhJ', frequencySpec), 'throws on invalid date format with character J')
 })
@@ -221,6 +451,169 @@ describe('getFileSize()', () => {
   })
 })
 
+it('countLines()', async () => {
+  assert.strictEqual(countLines(''), 0, 'counts no lines in empty string')
+  assert.strictEqual(countLines('line 1\nline 2\n'), 2, 'counts lines in string')
+  assert.strictEqual(countLines('line 1\nline 2'), 1, 'ignores incomplete line')
+  assert.strictEqual(countLines(Buffer.from('line 1\nline 2\n')), 2, 'counts lines in buffer')
+})
+
+it('countFileLines()', async () => {
+  const folder = createTempTestDir()
+  await writeFile(join(folder, 'file.1.log'), 'line 1\nline 2\n')
+  assert.strictEqual(await countFileLines(join(folder, 'file.1.log')), 2, 'counts lines of existing file')
+  assert.strictEqual(await countFileLines(join(folder, 'file.2.log')), 0, 'counts no lines of missing file')
+})
+
+it('validateMaxLines()', async () => {
+  assert.doesNotThrow(() => validateMaxLines(), 'allows no value')
+  assert.doesNotThrow(() => validateMaxLines(1000), 'allows positive integer')
+  assert.throws(() => validateMaxLines(0), /maxLines must be a number greater than 0/, 'throws on 0')
+  assert.throws(() => validateMaxLines('10'), /maxLines must be a number greater than 0/, 'throws on string')
+})
+
+it('splitLinesToFit()', async () => {
+  assert.deepStrictEqual(splitLinesToFit('line 1\nline 2\n', 14), ['line 1\nline 2\n', ''], 'keeps all fitting lines')
+  assert.deepStrictEqual(splitLinesToFit('line 1\nline 2\n', 10), ['line 1\n', 'line 2\n'], 'splits after last fitting line')
+  assert.deepStrictEqual(splitLinesToFit('line 1\nline 2\n', 5), ['', 'line 1\nline 2\n'], 'keeps nothing when no line fits')
+  assert.deepStrictEqual(splitLinesToFit('line 1\nline 2\n', -3), ['', 'line 1\nline 2\n'], 'keeps nothing without room')
+  assert.deepStrictEqual(splitLinesToFit('line 1\nline 2\n', 5, true), ['line 1\n', 'line 2\n'], 'keeps first line when forced')
+  assert.deepStrictEqual(splitLinesToFit('a long line', 5, true), ['a long line', ''], 'keeps incomplete line when forced')
+  assert.deepStrictEqual(splitLinesToFit('été\nhiver\n', 6), ['été\n', 'hiver\n'], 'counts bytes')
+  assert.deepStrictEqual(
+    splitLinesToFit(Buffer.from('line 1\nline 2\n'), 10),
+    [Buffer.from('line 1\n'), Buffer.from('line 2\n')],
+    'splits buffers'
+  )
+})
+
+it('validateStrictSize()', async () => {
+  assert.doesNotThrow(() => validateStrictSize(), 'allows no value')
+  assert.doesNotThrow(() => validateStrictSize(true, '1m'), 'allows true with size')
+  assert.doesNotThrow(() => validateStrictSize(false), 'allows false without size')
+  assert.throws(() => validateStrictSize('yes', '1m'), /strictSize must be a boolean/, 'throws on string')
+  assert.throws(() => validateStrictSize(true), /strictSize requires size/, 'throws without size')
+  assert.throws(() => validateStrictSize(true, '1m', true), /strictSize can not be combined with shared/, 'throws with shared')
+})
+
+describe('listLogFiles()', () => {
+  let folder
+  beforeEach(() => {
+    folder = createTempTestDir()
+  })
+
+  it('given existing files', async () => {
+    await writeFile(join(folder, 'file.10.log'), '')
+    await writeFile(join(folder, 'file.2.log.gz'), '')
+    await writeFile(join(folder, 'file.1.log'), '')
+    await writeFile(join(folder, 'file.log'), '')
+    await writeFile(join(folder, 'other.3.log'), '')
+    assert.deepStrictEqual(
+      await listLogFiles({ baseFile: join(folder, 'file'), extension: '.log' }),
+      [join(folder, 'file.1.log'), join(folder, 'file.2.log.gz'), join(folder, 'file.10.log')],
+      'lists log files, oldest first'
+    )
+  })
+
+  it('given a relative path', async () => {
+    await writeFile(join(folder, 'file.1.log'), '')
+    const relativeFolder = `./${relative(process.cwd(), folder)}`
+    assert.deepStrictEqual(
+      await listLogFiles({ baseFile: `${relativeFolder}/file`, extension: '.log' }),
+      [buildFileName(`${relativeFolder}/file`, null, 1, '.log')],
+      'builds paths like buildFileName()'
+    )
+  })
+
+  it('given no folder', async () => {
+    await rm(folder, { force: true, recursive: true })
+    assert.deepStrictEqual(await listLogFiles({ baseFile: join(folder, 'file') }), [], 'returns no files')
+  })
+
+  it('given dated folders', async () => {
+    for (const dir of ['2026/10/19', '2026/09/30', '2026/10/20', 'archive/01/01']) {
+      await mkdir(join(folder, dir), { recursive: true })
+      await writeFile(join(folder, dir, 'file.1.log'), '')
+    }
+    await writeFile(join(folder, '2026/10/19', 'file.2.log.gz'), '')
+    await writeFile(join(folder, 'file.1.log'), '')
+    assert.deepStrictEqual(
+      await listLogFiles({ baseFile: join(folder, 'file'), extension: '.log', dirFormat: 'yyyy/MM/dd' }),
+      [
+        join(folder, '2026/09/30', 'file.1.log'),
+        join(folder, '2026/10/19', 'file.1.log'),
+        join(folder, '2026/10/19', 'file.2.log.gz'),
+        join(folder, '2026/10/20', 'file.1.log')
+      ],
+      'lists log files of all dated folders, oldest first'
+    )
+  })
+})
+
+describe('removeOldFiles() with dirFormat', () => {
+  let folder
+  beforeEach(() => {
+    folder = createTempTestDir()
+  })
+
+  it('removes files of all dated folders, and emptied folders', async () => {
+    for (const dir of ['2026/09/30', '2026/10/19']) {
+      await mkdir(join(folder, dir), { recursive: true })
+      await writeFile(join(folder, dir, 'file.1.log'), 'content')
+    }
+    const newFileName = join(folder, '2026/10/19', 'file.2.log')
+    await writeFile(newFileName, '')
+    const removed = await removeOldFiles({ baseFile: join(folder, 'file'), extension: 'log', dirFormat: 'yyyy/MM/dd', count: 2, removeOtherLogFiles: true, newFileName })
+    assert.deepStrictEqual(removed, [join(folder, '2026/09/30', 'file.1.log')], 'removes oldest file')
+    assert.deepStrictEqual(await readdir(join(folder, '2026')), ['10'], 'removes emptied folders')
+  })
+
+  it('sizes files with the same names in different folders', async () => {
+    for (const dir of ['2026/09/30', '2026/10/19']) {
+      await mkdir(join(folder, dir), { recursive: true })
+      await writeFile(join(folder, dir, 'file.1.log'), '12345')
+    }
+    const newFileName = join(folder, '2026/10/19', 'file.2.log')
+    await writeFile(newFileName, '')
+    const createdFileNames = [join(folder, '2026/09/30', 'file.1.log'), join(folder, '2026/10/19', 'file.1.log')]
+    const removed = await removeOldFiles({ baseFile: join(folder, 'file'), extension: 'log', dirFormat: 'yyyy/MM/dd', maxTotalSize: '5b', createdFileNames, newFileName })
+    assert.deepStrictEqual(removed, [join(folder, '2026/09/30', 'file.1.log')], 'removes oldest file to fit')
+  })
+
+  it('keeps pending files by path, not by name', async () => {
+    for (const dir of ['2026/09/30', '2026/10/19']) {
+      await mkdir(join(folder, dir), { recursive: true })
+      await writeFile(join(folder, dir, 'file.1.log.gz'), 'content')
+    }
+    const newFileName = join(folder, '2026/10/19', 'file.2.log')
+    await writeFile(newFileName, '')
+    const pendingFileNames = new Set([resolve(folder, '2026/09/30', 'file.1.log')])
+    const removed = await removeOldFiles({ baseFile: join(folder, 'file'), extension: 'log', dirFormat: 'yyyy/MM/dd', count: 1, removeOtherLogFiles: true, newFileName, pendingFileNames })
+    assert.deepStrictEqual(removed, [join(folder, '2026/10/19', 'file.1.log.gz')], 'removes file with the same name in another folder')
+  })
+})
+
+describe('removeEmptyDirs()', () => {
+  it('removes empty folders up to the root folder', async () => {
+    const folder = createTempTestDir()
+    await mkdir(join(folder, '2026/10/19'), { recursive: true })
+    await mkdir(join(folder, '2026/10/20'), { recursive: true })
+    await writeFile(join(folder, '2026/10/20', 'file.1.log'), '')
+    await removeEmptyDirs([join(folder, '2026/10/19', 'file.1.log'), join(folder, '2026/10/20', 'file.1.log')], folder)
+    assert.deepStrictEqual(await readdir(join(folder, '2026/10')), ['20'], 'keeps folders with files')
+    assert.ok((await stat(folder)).isDirectory(), 'keeps root folder')
+  })
+})
+
+it('prepareFileDir()', async () => {
+  const folder = createTempTestDir()
+  assert.throws(() => prepareFileDir(join(folder, 'missing', 'file.1.log'), false), /ENOENT/, 'throws on missing folder')
+  prepareFileDir(join(folder, 'created', 'file.1.log'), true)
+  assert.ok((await stat(join(folder, 'created'))).isDirectory(), 'creates folder')
+  await writeFile(join(folder, 'blocked'), '')
+  assert.throws(() => prepareFileDir(join(folder, 'blocked', 'file.1.log'), true), /EEXIST|ENOTDIR/, 'throws when folder can not be created')
+})
+
 describe('detectLastNumber()', () => {
   let folder
   beforeEach(() => {
@@ -236,6 +629,8 @@ describe('detectLastNumber()', () => {
     await writeFile(join(folder, 'file.7'), '')
     assert.strictEqual(await detectLastNumber(fileName), 10, 'detects highest existing number')
     assert.strictEqual(await detectLastNumber(fileNameFunc), 10, 'detects highest existing number when given func')
+    await writeFile(join(folder, 'file.11.gz.enc'), '')
+    assert.strictEqual(await detectLastNumber(fileName), 11, 'detects highest encrypted number')
   })
 
   it('given existing files and a time', async () => {
@@ -285,6 +680,23 @@ describe('detectLastNumber()', () => {
     assert.strictEqual(await detectLastNumber(fileName, futureTime, '.log'), 1, 'ignores all files older than time')
   })
 
+  it('given compressed files', async () => {
+    await writeFile(join(folder, 'file.2.log'), '')
+    await writeFile(join(folder, 'file.3.log.gz'), '')
+    await writeFile(join(folder, 'file.4.log.br'), '')
+    assert.strictEqual(await detectLastNumber(join(folder, 'file'), null, 'log'), 4, 'considers compressed files')
+  })
+
+  it('given a fileNamePattern', async () => {
+    const pattern = '{base}-{date}-{number:3}{ext}'
+    await writeFile(join(folder, 'file-2024-09-26-009.log'), '')
+    await writeFile(join(folder, 'file-2024-09-27-011.log.gz'), '')
+    await writeFile(join(folder, 'file-012.log'), '')
+    await writeFile(join(folder, 'file.20.log'), '')
+    await writeFile(join(folder, 'other-2024-09-26-030.log'), '')
+    assert.strictEqual(await detectLastNumber(join(folder, 'file'), null, 'log', pattern), 12, 'parses files with the pattern')
+  })
+
   it('given files without numbers', async () => {
     await writeFile(join(folder, 'file'), '')
     await writeFile(join(folder, 'file.5'), '')
@@ -312,6 +724,54 @@ it('validateLimitOptions()', async () => {
   assert.throws(() => validateLimitOptions({ count: 2, removeOtherLogFiles: [] }), { message: 'limit.removeOtherLogFiles must be boolean' }, 'throws when limit.removeOtherLogFiles is not boolean')
   assert.throws(() => validateLimitOptions({ count: 2, removeOtherLogFiles: {} }), { message: 'limit.removeOtherLogFiles must be boolean' }, 'throws when limit.removeOtherLogFiles is not boolean')
   assert.throws(() => validateLimitOptions({ count: 2, removeOtherLogFiles: 'ok' }), { message: 'limit.removeOtherLogFiles must be boolean' }, 'throws when limit.removeOtherLogFiles is not boolean')
+  assert.throws(() => validateLimitOptions({}), { message: 'limit.count must be a number greater than 0' }, 'throws when neither limit.count nor limit.maxAge are set')
+  assert.doesNotThrow(() => validateLimitOptions({ maxAge: '14d' }), 'allows maxAge without count')
+  assert.doesNotThrow(() => validateLimitOptions({ count: 2, maxAge: 1000 }), 'allows maxAge with count')
+  assert.throws(() => validateLimitOptions({ maxAge: 0 }), { message: 'limit.maxAge must be a duration greater than 0' }, 'throws when limit.maxAge is 0')
+  assert.throws(() => validateLimitOptions({ maxAge: 'forever' }), { message: 'forever is not a valid duration' }, 'throws when limit.maxAge is not a duration')
+  assert.throws(() => validateLimitOptions({ count: 0, maxAge: '1d' }), { message: 'limit.count must be a number greater than 0' }, 'throws when limit.count is invalid along maxAge')
+  assert.doesNotThrow(() => validateLimitOptions({ maxTotalSize: '2g' }), 'allows maxTotalSize without count')
+  assert.doesNotThrow(() => validateLimitOptions({ count: 2, maxAge: '1d', maxTotalSize: 100 }), 'allows maxTotalSize with count and maxAge')
+  assert.throws(() => validateLimitOptions({ maxTotalSize: 0 }), { message: 'limit.maxTotalSize must be a size greater than 0' }, 'throws when limit.maxTotalSize is 0')
+  assert.throws(() => validateLimitOptions({ maxTotalSize: true }), { message: 'limit.maxTotalSize must be a size greater than 0' }, 'throws when limit.maxTotalSize is not a size')
+  assert.throws(() => validateLimitOptions({ maxTotalSize: 'huge' }), { message: 'huge is not a valid size in KB, MB or GB' }, 'throws when limit.maxTotalSize is not parseable')
+})
+
+it('validateCompress()', async () => {
+  assert.doesNotThrow(() => validateCompress(), 'allows no compression')
+  assert.doesNotThrow(() => validateCompress(false), 'allows disabled compression')
+  assert.doesNotThrow(() => validateCompress('gzip'), 'allows gzip')
+  assert.doesNotThrow(() => validateCompress('brotli'), 'allows brotli')
+  assert.throws(() => validateCompress('zip'), { message: 'zip is not a supported compression, use \'gzip\' or \'brotli\'' }, 'throws on unknown compression')
+})
+
+it('isCompressed()', async () => {
+  const folder = createTempTestDir()
+  await writeFile(join(folder, 'file.1.log.gz'), '')
+  await writeFile(join(folder, 'file.2.log.br'), '')
+  assert.strictEqual(await isCompressed(join(folder, 'file.1.log')), true, 'detects gzip file')
+  assert.strictEqual(await isCompressed(join(folder, 'file.2.log')), true, 'detects brotli file')
+  assert.strictEqual(await isCompressed(join(folder, 'file.3.log')), false, 'ignores missing files')
+  await writeFile(join(folder, 'file.4.log.enc'), '')
+  await writeFile(join(folder, 'file.5.log.gz.enc'), '')
+  assert.strictEqual(await isCompressed(join(folder, 'file.4.log')), true, 'detects encrypted file')
+  assert.strictEqual(await isCompressed(join(folder, 'file.5.log')), true, 'detects compressed and encrypted file')
+})
+
+it('removeCompressExtension()', async () => {
+  assert.strictEqual(removeCompressExtension('file.1.log'), 'file.1.log', 'keeps rotated file name')
+  assert.strictEqual(removeCompressExtension('file.1.log.br'), 'file.1.log', 'removes compression')
+  assert.strictEqual(removeCompressExtension('file.1.log.enc'), 'file.1.log', 'removes encryption')
+  assert.strictEqual(removeCompressExtension('file.1.log.gz.enc'), 'file.1.log', 'removes compression and encryption')
+})
+
+it('isRotatedFile()', async () => {
+  const folder = createTempTestDir()
+  await writeFile(join(folder, 'file.1.log'), '')
+  await writeFile(join(folder, 'file.2.log.br'), '')
+  assert.strictEqual(await isRotatedFile(join(folder, 'file.1.log')), true, 'detects file')
+  assert.strictEqual(await isRotatedFile(join(folder, 'file.2.log')), true, 'detects compressed file')
+  assert.strictEqual(await isRotatedFile(join(folder, 'file.3.log')), false, 'detects missing file')
 })
 
 describe('checkSymlink()', { skip: process.platform === 'win32' }, () => {
@@ -380,6 +840,46 @@ describe('createSymlink()', { skip: process.platform === 'win32' }, () => {
   })
 })
 
+describe('createSymlinkSync()', { skip: process.platform === 'win32' }, () => {
+  let folder
+  beforeEach(() => {
+    folder = createTempTestDir()
+  })
+
+  it('given no options (should create current.log next to the file)', async () => {
+    const fileName = join(folder, 'file.1.log')
+    createSymlinkSync(fileName)
+    assert.strictEqual(await readlink(join(folder, 'current.log')), 'file.1.log', 'creates relative symlink')
+  })
+
+  it('given a link owned by someone else (should not replace it)', async () => {
+    const linkPath = join(folder, 'current.log')
+    await symlink('other.1.log', linkPath)
+    createSymlinkSync(join(folder, 'file.1.log'), { isOwned: target => extractFileName(target).startsWith('file.') })
+    assert.strictEqual(await readlink(linkPath), 'other.1.log', 'keeps existing symlink')
+    createSymlinkSync(join(folder, 'file.1.log'))
+    assert.strictEqual(await readlink(linkPath), 'file.1.log', 'replaces symlink without ownership check')
+  })
+
+  it('given custom name, folder and absolute target', async () => {
+    const fileName = join(folder, 'file.1.log')
+    await require('fs/promises').mkdir(join(folder, 'links'))
+    createSymlinkSync(fileName, { name: 'file.log', dir: join(folder, 'links'), relative: false })
+    assert.strictEqual(await readlink(join(folder, 'links', 'file.log')), fileName, 'creates absolute symlink')
+  })
+})
+
+it('validateSymlinkOptions()', async () => {
+  assert.doesNotThrow(() => validateSymlinkOptions(), 'allows no symlink')
+  assert.doesNotThrow(() => validateSymlinkOptions(true), 'allows boolean')
+  assert.doesNotThrow(() => validateSymlinkOptions({ name: 'api.log', dir: 'links', relative: false }), 'allows options')
+  assert.throws(() => validateSymlinkOptions('current.log'), { message: 'symlink must be a boolean or an object' }, 'throws on string')
+  assert.throws(() => validateSymlinkOptions({ name: '' }), { message: 'symlink.name must be a file name, without path separators' }, 'throws on empty name')
+  assert.throws(() => validateSymlinkOptions({ name: 'links/api.log' }), { message: 'symlink.name must be a file name, without path separators' }, 'throws on path')
+  assert.throws(() => validateSymlinkOptions({ dir: 1 }), { message: 'symlink.dir must be a non empty string' }, 'throws on invalid folder')
+  assert.throws(() => validateSymlinkOptions({ relative: 'yes' }), { message: 'symlink.relative must be boolean' }, 'throws on invalid relative')
+})
+
 describe('sanitizeFile()', () => {
   it('throws an error when no file name is provided', async () => {
     assert.throws(() => sanitizeFile(), 'should throw when called without arguments')
@@ -0,0 +1,108 @@
+'use strict'
+
+const { once } = require('events')
+const { stat, readFile, writeFile } = require('fs/promises')
+const { join } = require('path')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+
+const {
+  buildStream,
+  createTempTestDir,
+  sleep
+} = require('./utils')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+it('rotate file based on number of lines', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ maxLines: 2, file })
+  stream.write('logged message #1\n')
+  await sleep(10)
+  stream.write('logged message #2\n')
+  const [event] = await once(stream, 'roll')
+  stream.write('logged message #3\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(event.reason, 'lines', 'reports reason')
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), 'logged message #1\nlogged message #2\n', 'first file contains two lines')
+  assert.strictEqual(await readFile(`${file}.2.log`, 'utf8'), 'logged message #3\n', 'second file contains third line')
+  await assert.rejects(stat(`${file}.3.log`), 'no other files created')
+})
+
+it('count all lines of a write', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ maxLines: 2, file })
+  stream.write('logged message #1\nlogged message #2\n')
+  await once(stream, 'roll')
+  stream.write('logged message #3\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.ok((await readFile(`${file}.2.log`, 'utf8')).includes('#3'), 'second file contains third line')
+})
+
+it('count lines of the reused file', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.1.log`, 'previous message\n')
+  const stream = await buildStream({ maxLines: 2, file })
+  stream.write('logged message #1\n')
+  await once(stream, 'roll')
+  stream.write('logged message #2\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), 'previous message\nlogged message #1\n', 'first file was completed')
+  assert.strictEqual(await readFile(`${file}.2.log`, 'utf8'), 'logged message #2\n', 'second file was created')
+})
+
+it('rotate file based on number of lines and size', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ maxLines: 10, size: '20b', file })
+  stream.write('logged message #1\n')
+  stream.write('logged message #2\n')
+  const [event] = await once(stream, 'roll')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(event.reason, 'size', 'reports reason')
+})
+
+it('split bursts of lines between files', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ maxLines: 10, file })
+  for (let i = 1; i <= 35; i++) {
+    stream.write(`logged message #${i}\n`)
+  }
+  stream.end()
+  await once(stream, 'close')
+
+  const files = await Promise.all([1, 2, 3, 4].map(number => readFile(`${file}.${number}.log`, 'utf8')))
+  assert.deepStrictEqual(files.map(content => content.split('\n').length - 1), [10, 10, 10, 5], 'files contain at most maxLines lines')
+  assert.ok(files[1].startsWith('logged message #11\n'), 'second file starts with next line')
+  assert.ok(files[3].endsWith('logged message #35\n'), 'last file contains last line')
+  await assert.rejects(stat(`${file}.5.log`), 'no other files created')
+})
+
+it('split writes of several lines between files', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ maxLines: 2, file })
+  stream.write('logged message #1\nlogged message #2\nlogged message #3\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), 'logged message #1\nlogged message #2\n', 'first file contains two lines')
+  assert.strictEqual(await readFile(`${file}.2.log`, 'utf8'), 'logged message #3\n', 'second file contains third line')
+})
+
+it('throw on invalid maxLines', async () => {
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), maxLines: 0 }),
+    /maxLines must be a number greater than 0/
+  )
+})
@@ -0,0 +1,173 @@
+'use strict'
+
+const fs = require('fs/promises')
+const { once } = require('events')
+const { stat, readFile, writeFile } = require('fs/promises')
+const { join } = require('path')
+const { it, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert')
+
+const {
+  buildStream,
+  createTempTestDir,
+  sleep
+} = require('./utils')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+function mockFreeSpace (getFreeSpace) {
+  mock.method(fs, 'statfs', async () => ({ bavail: getFreeSpace(), blocks: 1000, bsize: 1 }))
+}
+
+it('remove oldest rotated files when space is low', async () => {
+  const file = join(logFolder, 'log')
+  for (let i = 1; i <= 4; i++) {
+    await writeFile(`${file}.${i}.log`, `logged message #${i}\n`)
+  }
+  let freeSpace = 0
+  mockFreeSpace(() => freeSpace++)
+  const stream = await buildStream({ file, minFreeSpace: { size: '2b', keep: 1 } })
+  const [event] = await once(stream, 'low-disk')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.deepStrictEqual(event, { freeSpace: 2, minFreeSpace: 2, removedFiles: [`${file}.1.log`, `${file}.2.log`] }, 'reports removed files')
+  await assert.rejects(stat(`${file}.1.log`), 'oldest file was removed')
+  await assert.rejects(stat(`${file}.2.log`), 'second file was removed')
+  await stat(`${file}.3.log`)
+  assert.ok((await readFile(`${file}.4.log`, 'utf8')).includes('#4'), 'active file was not removed')
+})
+
+it('keep rotated files beyond floor when space is low', async () => {
+  const file = join(logFolder, 'log')
+  for (let i = 1; i <= 3; i++) {
+    await writeFile(`${file}.${i}.log`, '')
+  }
+  mockFreeSpace(() => 0)
+  const stream = await buildStream({ file, minFreeSpace: { size: '10%', keep: 1 } })
+  const [event] = await once(stream, 'low-disk')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.deepStrictEqual(event, { freeSpace: 0, minFreeSpace: 100, removedFiles: [`${file}.1.log`] }, 'reports low space')
+  await stat(`${file}.2.log`)
+  await stat(`${file}.3.log`)
+})
+
+it('check space on roll', async () => {
+  const file = join(logFolder, 'log')
+  let freeSpace = 1000
+  mockFreeSpace(() => freeSpace)
+  const stream = await buildStream({ size: '20b', file, minFreeSpace: { size: '10%', keep: 0 } })
+  await sleep(20)
+  freeSpace = 0
+  stream.write('logged message #1\n')
+  stream.write('logged message #2\n')
+  const [event] = await once(stream, 'low-disk')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.deepStrictEqual(event.removedFiles, [`${file}.1.log`], 'removes rotated file')
+})
+
+it('drop writes while space is low', async () => {
+  const file = join(logFolder, 'log')
+  mockFreeSpace(() => 0)
+  const stream = await buildStream({ file, minFreeSpace: { size: '1k', action: 'drop' } })
+  await once(stream, 'low-disk')
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), '', 'write was dropped')
+})
+
+it('pause writes while space is low', async () => {
+  const file = join(logFolder, 'log')
+  let freeSpace = 0
+  mockFreeSpace(() => freeSpace)
+  const stream = await buildStream({ file, minFreeSpace: { size: '10%', action: 'pause', interval: 50 } })
+  await once(stream, 'low-disk')
+  stream.write('logged message #1\n')
+  await sleep(20)
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), '', 'write was paused')
+
+  freeSpace = 1000
+  await sleep(100)
+  stream.write('logged message #2\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), 'logged message #1\nlogged message #2\n', 'paused write was resumed')
+})
+
+it('write paused writes on end', async () => {
+  const file = join(logFolder, 'log')
+  mockFreeSpace(() => 0)
+  const stream = await buildStream({ file, minFreeSpace: { size: '10%', action: 'pause' } })
+  await once(stream, 'low-disk')
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), 'logged message #1\n', 'paused write was not lost')
+})
+
+it('drop writes above maxPausedSize', async () => {
+  const file = join(logFolder, 'log')
+  let freeSpace = 0
+  mockFreeSpace(() => freeSpace)
+  const stream = await buildStream({ file, minFreeSpace: { size: '10%', action: 'pause', interval: 50, maxPausedSize: '40b' } })
+  const errors = []
+  stream.on('error', error => errors.push(error.message))
+  await once(stream, 'low-disk')
+  for (let i = 1; i <= 4; i++) {
+    stream.write(`logged message #${i}\n`)
+  }
+  freeSpace = 1000
+  await sleep(100)
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), 'logged message #1\nlogged message #2\n', 'kept paused writes within maxPausedSize')
+  assert.deepStrictEqual(errors, ['Paused writes exceed 40 bytes, dropping writes until space is back'], 'reports dropped writes once')
+})
+
+it('check space while background work is slow', async () => {
+  const file = join(logFolder, 'log')
+  let freeSpace = 1000
+  mockFreeSpace(() => freeSpace)
+  let resolveRotate
+  const stream = await buildStream({
+    file,
+    minFreeSpace: { size: '10%', action: 'pause', interval: 50 },
+    onRotate: () => new Promise(resolve => { resolveRotate = resolve })
+  })
+  stream.write('logged message #1\n')
+  await stream.roll()
+  const lowDisk = once(stream, 'low-disk')
+  freeSpace = 0
+  const [event] = await Promise.race([lowDisk, sleep(1000).then(() => [null])])
+  resolveRotate()
+  stream.end()
+  await once(stream, 'close')
+
+  assert.ok(event, 'checks space while onRotate is pending')
+  assert.deepStrictEqual(event.removedFiles, [], 'keeps the file being processed')
+  await stat(`${file}.1.log`)
+})
+
+it('throw on invalid minFreeSpace', async () => {
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), minFreeSpace: { size: '1g', action: 'crash' } }),
+    /minFreeSpace.action must be 'none', 'pause' or 'drop'/
+  )
+})
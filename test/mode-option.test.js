@@ -0,0 +1,109 @@
+'use strict'
+
+const { once } = require('events')
+const { stat, readFile, writeFile, readdir, readlink } = require('fs/promises')
+const { join } = require('path')
+const { gunzipSync } = require('zlib')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+const { format } = require('date-fns')
+
+const {
+  buildStream,
+  createTempTestDir,
+  sleep
+} = require('./utils')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+it('rename active file on size roll', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ size: '20b', file, mode: 'rename' })
+  stream.write('logged message #1\n')
+  stream.write('logged message #2\n')
+  const [event] = await once(stream, 'roll')
+  stream.write('logged message #3\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.deepStrictEqual(event, { previousFile: `${file}.1.log`, newFile: `${file}.log`, reason: 'size' }, 'reports renamed file')
+  let content = await readFile(`${file}.1.log`, 'utf8')
+  assert.ok(content.includes('#1'), 'renamed file contains first log')
+  assert.ok(content.includes('#2'), 'renamed file contains second log')
+  content = await readFile(`${file}.log`, 'utf8')
+  assert.ok(content.includes('#3'), 'active file contains third log')
+  await assert.rejects(stat(`${file}.2.log`), 'no other files created')
+})
+
+it('rename active file with date on manual roll', async () => {
+  const file = join(logFolder, 'log')
+  const dateFormat = 'yyyy-MM-dd'
+  const stream = await buildStream({ frequency: 'daily', file, dateFormat, mode: 'rename' })
+  stream.write('logged message #1\n')
+  await stream.roll()
+  stream.write('logged message #2\n')
+  await stream.roll()
+  stream.end()
+  await once(stream, 'close')
+
+  const fileName = `${file}.${format(new Date(), dateFormat)}`
+  assert.ok((await readFile(`${fileName}.1.log`, 'utf8')).includes('#1'), 'first renamed file contains first log')
+  assert.ok((await readFile(`${fileName}.2.log`, 'utf8')).includes('#2'), 'second renamed file contains second log')
+  assert.strictEqual(await readFile(`${file}.log`, 'utf8'), '', 'active file is empty')
+})
+
+it('resume writing in active file and continue numbering', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.log`, '--previous content--\n')
+  await writeFile(`${file}.1.log`, '')
+  await writeFile(`${file}.2.log.gz`, '')
+  const stream = await buildStream({ size: '100b', file, mode: 'rename' })
+  stream.write('logged message #1\n')
+  await stream.roll()
+  stream.end()
+  await once(stream, 'close')
+
+  const content = await readFile(`${file}.3.log`, 'utf8')
+  assert.ok(content.includes('--previous content--'), 'renamed file contains previous content')
+  assert.ok(content.includes('#1'), 'renamed file contains new log')
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), '', 'existing files are not overwritten')
+})
+
+it('compress and remove renamed files', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ size: '20b', file, mode: 'rename', compress: 'gzip', limit: { count: 1 } })
+  for (let i = 1; i <= 3; i++) {
+    stream.write(`logged message #${i}\n`)
+    stream.write(`logged message #${i}\n`)
+    await once(stream, 'cleanup-complete')
+  }
+  stream.end()
+  await once(stream, 'close')
+
+  assert.deepStrictEqual((await readdir(logFolder)).sort(), ['log.3.log.gz', 'log.log'], 'keeps active file and last renamed file')
+  assert.ok(gunzipSync(await readFile(`${file}.3.log.gz`)).toString().includes('#3'), 'renamed file was compressed')
+})
+
+it('create symlink to active file', { skip: process.platform === 'win32' }, async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ size: '20b', file, mode: 'rename', symlink: true })
+  stream.write('logged message #1\n')
+  stream.write('logged message #2\n')
+  await once(stream, 'roll')
+  await sleep(20)
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readlink(join(logFolder, 'current.log')), 'log.log', 'symlink targets active file')
+})
+
+it('throw on invalid mode', async () => {
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), mode: 'copytruncate' }),
+    /mode must be 'number' or 'rename'/
+  )
+})
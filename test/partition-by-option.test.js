@@ -0,0 +1,126 @@
+'use strict'
+
+const { once } = require('events')
+const { stat, readFile, readdir } = require('fs/promises')
+const { join } = require('path')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+
+const {
+  buildStream,
+  createTempTestDir,
+  sleep
+} = require('./utils')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+function line (tenant, msg) {
+  return `${JSON.stringify({ level: 30, tenant, msg })}\n`
+}
+
+it('write lines into the file of their partition', async () => {
+  const file = join(logFolder, 'app.log')
+  const stream = await buildStream({ file, partitionBy: 'tenant' })
+  stream.write(line('acme', 'acme #1'))
+  stream.write(line('globex', 'globex #1') + line('acme', 'acme #2'))
+  stream.write(line(undefined, 'no tenant'))
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(join(logFolder, 'app-acme.1.log'), 'utf8'), line('acme', 'acme #1') + line('acme', 'acme #2'), 'acme file contains acme lines')
+  assert.strictEqual(await readFile(join(logFolder, 'app-globex.1.log'), 'utf8'), line('globex', 'globex #1'), 'globex file contains globex lines')
+  assert.strictEqual(await readFile(join(logFolder, 'app.1.log'), 'utf8'), line(undefined, 'no tenant'), 'lines without key go into file')
+})
+
+it('compute partitions with a function and a file function', async () => {
+  const stream = await buildStream({
+    file: key => join(logFolder, key ?? 'other', 'app'),
+    mkdir: true,
+    partitionBy: ({ req }) => req?.tenant
+  })
+  stream.write(`${JSON.stringify({ req: { tenant: 'acme' } })}\n`)
+  stream.write(`${JSON.stringify({ req: { tenant: '../escape' } })}\n`)
+  stream.write('not json\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.ok(await readFile(join(logFolder, 'acme', 'app.1.log'), 'utf8'), 'acme folder contains acme lines')
+  assert.ok(await readFile(join(logFolder, '.._escape', 'app.1.log'), 'utf8'), 'unsafe keys are sanitized')
+  assert.strictEqual(await readFile(join(logFolder, 'other', 'app.1.log'), 'utf8'), 'not json\n', 'other lines go into file')
+})
+
+it('apply rolls and limits per partition', async () => {
+  const file = join(logFolder, 'app')
+  const stream = await buildStream({ file, partitionBy: 'tenant', size: '20b', limit: { count: 1 } })
+  const keys = []
+  stream.on('roll', (event, key) => keys.push(key))
+  for (let i = 1; i <= 3; i++) {
+    stream.write(line('acme', `acme #${i}`))
+    await once(stream, 'roll')
+  }
+  assert.deepStrictEqual(keys, ['acme', 'acme', 'acme'], 'roll events include the partition key')
+  stream.write(line('globex', 'globex'))
+  await sleep(50)
+  stream.end()
+  await once(stream, 'close')
+
+  const files = await readdir(logFolder)
+  assert.deepStrictEqual(files.filter(name => name.startsWith('app-acme')).sort(), ['app-acme.3.log', 'app-acme.4.log'], 'acme files were limited')
+  assert.deepStrictEqual(files.filter(name => name.startsWith('app-globex')).sort(), ['app-globex.1.log', 'app-globex.2.log'], 'globex files were kept')
+})
+
+it('close least recently used partitions above maxOpen', async () => {
+  const file = join(logFolder, 'app')
+  const stream = await buildStream({ file, partitionBy: { key: 'tenant', maxOpen: 2 } })
+  const closed = []
+  stream.write(line('acme', 'acme #1'))
+  stream.write(line('globex', 'globex #1'))
+  stream.write(line('acme', 'acme #2'))
+  await sleep(50)
+  assert.deepStrictEqual([...stream.partitions.keys()], ['globex', 'acme'], 'partitions are open, most recently used last')
+  const acme = stream.partitions.get('acme')
+  const globex = stream.partitions.get('globex')
+  globex.once('close', () => closed.push('globex'))
+  acme.once('close', () => closed.push('acme'))
+  stream.write(line('initech', 'initech #1'))
+  await sleep(50)
+  assert.deepStrictEqual(closed, ['globex'], 'closes least recently used partition')
+  stream.write(line('globex', 'globex #2'))
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}-acme.1.log`, 'utf8'), line('acme', 'acme #1') + line('acme', 'acme #2'), 'acme file is complete')
+  assert.strictEqual(await readFile(`${file}-globex.1.log`, 'utf8'), line('globex', 'globex #1') + line('globex', 'globex #2'), 'reopened globex file is complete')
+})
+
+it('close idle partitions', async () => {
+  const file = join(logFolder, 'app')
+  const stream = await buildStream({ file, partitionBy: { key: 'tenant', idleTimeout: 50 } })
+  stream.write(line('acme', 'acme #1'))
+  await sleep(150)
+  assert.strictEqual(stream.partitions.size, 0, 'idle partition was closed')
+  stream.write(line('acme', 'acme #2'))
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}-acme.1.log`, 'utf8'), line('acme', 'acme #1') + line('acme', 'acme #2'), 'reopened acme file is complete')
+  await assert.rejects(stat(`${file}-acme.2.log`), 'no other files created')
+})
+
+it('throw on invalid partitionBy', async () => {
+  const file = join(logFolder, 'app')
+  await assert.rejects(buildStream({ file, partitionBy: 12 }), /partitionBy must be a field name or a function/, 'throws on invalid key')
+  await assert.rejects(buildStream({ file, partitionBy: { key: 'tenant', maxOpen: 0 } }), /partitionBy.maxOpen must be an integer greater than 0/, 'throws on invalid maxOpen')
+  await assert.rejects(buildStream({ file, partitionBy: 'tenant', stateFile: join(logFolder, 'state.json') }), /partitionBy can not be combined with stateFile/, 'throws on stateFile')
+})
+
+it('throw on invalid options before the first line', async () => {
+  const file = join(logFolder, 'app')
+  await assert.rejects(buildStream({ file, partitionBy: 'tenant', limit: { count: -1 } }), /limit.count must be/, 'throws on invalid limit')
+  await assert.rejects(buildStream({ file, partitionBy: 'tenant', frequency: 'bogus' }), /bogus/, 'throws on invalid frequency')
+  await assert.rejects(buildStream({ file: () => 'app', partitionBy: 'tenant', archive: { adapter: 'fs' } }), /archive.dir must be a non empty string/, 'throws on invalid archive with file function')
+})
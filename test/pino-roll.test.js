@@ -1,7 +1,7 @@
 'use strict'
 
 const { once } = require('events')
-const { stat, readFile, writeFile, readdir, lstat, readlink } = require('fs/promises')
+const { stat, readFile, writeFile, readdir, lstat, readlink, utimes, symlink, mkdir } = require('fs/promises')
 const { join } = require('path')
 const { it, beforeEach } = require('node:test')
 const assert = require('node:assert')
@@ -299,10 +299,96 @@ it('removeOtherOldFiles()', async () => {
   assert.ok(files.includes(notLogFile), 'second run: non log file is not removed')
 })
 
-it('do not remove pre-existing file when removing files based on count', { skip: process.platform === 'win32' }, async () => {
+it('removeOldFiles() based on maxAge with date format', async () => {
+  const dateFormat = 'yyyy-MM-dd'
+  const baseFile = join(logFolder, 'log')
+  const today = format(new Date(), dateFormat)
+  const lastWeek = format(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), dateFormat)
+  const lastMonth = format(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), dateFormat)
+  for (const date of [lastMonth, lastWeek, today]) {
+    await writeFile(`${baseFile}.${date}.1.log`, `Content ${date}`)
+  }
+
+  await removeOldFiles({ baseFile, maxAge: '14d', removeOtherLogFiles: true, dateFormat, extension: 'log', newFileName: `${baseFile}.${today}.1.log` })
+  const files = await readdir(logFolder)
+  assert.ok(!files.includes(`log.${lastMonth}.1.log`), 'file older than maxAge is removed')
+  assert.ok(files.includes(`log.${lastWeek}.1.log`), 'file younger than maxAge is not removed')
+  assert.ok(files.includes(`log.${today}.1.log`), 'active file is not removed')
+})
+
+it('removeOldFiles() based on maxAge and modification time', async () => {
+  const baseFile = join(logFolder, 'log')
+  const createdFileNames = []
+  for (let i = 1; i <= 3; i++) {
+    createdFileNames.push(`${baseFile}.${i}.log`)
+    await writeFile(`${baseFile}.${i}.log`, `Content ${i}`)
+  }
+  const old = new Date(Date.now() - 60 * 60 * 1000)
+  await utimes(`${baseFile}.1.log`, old, old)
+
+  await removeOldFiles({ baseFile, maxAge: '30m', extension: 'log', createdFileNames, newFileName: `${baseFile}.4.log` })
+  await assert.rejects(stat(`${baseFile}.1.log`), 'file modified before maxAge is removed')
+  await stat(`${baseFile}.2.log`)
+  await stat(`${baseFile}.3.log`)
+  assert.deepStrictEqual(createdFileNames, [2, 3, 4].map(i => `${baseFile}.${i}.log`), 'removed file is forgotten')
+})
+
+it('removeOldFiles() based on maxAge combined with count', async () => {
+  const baseFile = join(logFolder, 'log')
+  const createdFileNames = []
+  const old = new Date(Date.now() - 60 * 60 * 1000)
+  for (let i = 1; i <= 4; i++) {
+    createdFileNames.push(`${baseFile}.${i}.log`)
+    await writeFile(`${baseFile}.${i}.log`, `Content ${i}`)
+  }
+  await utimes(`${baseFile}.3.log`, old, old)
+
+  await removeOldFiles({ baseFile, count: 2, maxAge: '30m', extension: 'log', createdFileNames, newFileName: `${baseFile}.5.log` })
+  await assert.rejects(stat(`${baseFile}.1.log`), 'file beyond count is removed')
+  await assert.rejects(stat(`${baseFile}.2.log`), 'file beyond count is removed')
+  await assert.rejects(stat(`${baseFile}.3.log`), 'file older than maxAge is removed')
+  await stat(`${baseFile}.4.log`)
+})
+
+it('removeOldFiles() based on maxTotalSize', async () => {
+  const baseFile = join(logFolder, 'log')
+  const createdFileNames = []
+  for (let i = 1; i <= 4; i++) {
+    createdFileNames.push(`${baseFile}.${i}.log`)
+    await writeFile(`${baseFile}.${i}.log`, '0123456789')
+  }
+  await writeFile(`${baseFile}.5.log`, '0123456789')
+
+  await removeOldFiles({ baseFile, maxTotalSize: '35b', extension: 'log', createdFileNames, newFileName: `${baseFile}.5.log` })
+  await assert.rejects(stat(`${baseFile}.1.log`), 'oldest file is removed')
+  await assert.rejects(stat(`${baseFile}.2.log`), 'second oldest file is removed')
+  await stat(`${baseFile}.3.log`)
+  await stat(`${baseFile}.4.log`)
+  await stat(`${baseFile}.5.log`)
+  assert.deepStrictEqual(createdFileNames, [3, 4, 5].map(i => `${baseFile}.${i}.log`), 'removed files are forgotten')
+})
+
+it('removeOldFiles() based on maxTotalSize never removes active file', async () => {
+  const dateFormat = 'yyyy-MM-dd'
+  const baseFile = join(logFolder, 'log')
+  const today = format(new Date(), dateFormat)
+  await writeFile(join(logFolder, 'notLogFile'), 'not a log file, not counted')
+  await writeFile(`${baseFile}.${today}.1.log`, '0123456789')
+  await writeFile(`${baseFile}.${today}.2.log`, '0123456789')
+
+  await removeOldFiles({ baseFile, maxTotalSize: '5b', removeOtherLogFiles: true, dateFormat, extension: 'log', newFileName: `${baseFile}.${today}.2.log` })
+  const files = await readdir(logFolder)
+  assert.ok(!files.includes(`log.${today}.1.log`), 'rotated file is removed')
+  assert.ok(files.includes(`log.${today}.2.log`), 'active file is not removed, even when over budget')
+  assert.ok(files.includes('notLogFile'), 'non log file is not removed')
+})
+
+it('remove pre-existing files when removing files based on count', { skip: process.platform === 'win32' }, async () => {
   const file = join(logFolder, 'log')
   await writeFile(`${file}.1.log`, 'oldest content')
   await writeFile(`${file}.2.log`, 'old content')
+  await writeFile(join(logFolder, 'other.1.log'), 'other content')
+  await writeFile(`${file}.txt`, 'unrelated content')
   const stream = await buildStream({
     size: '20b',
     file,
@@ -314,11 +400,11 @@ it('do not remove pre-existing file when removing files based on count', { skip:
   }
   stream.end()
   await once(stream, 'close')
-  await stat(`${file}.1.log`)
-  let content = await readFile(`${file}.1.log`, 'utf8')
-  assert.strictEqual(content, 'oldest content', 'oldest file was not touched')
+  await assert.rejects(stat(`${file}.1.log`), 'oldest file was deleted')
+  assert.strictEqual(await readFile(join(logFolder, 'other.1.log'), 'utf8'), 'other content', 'file of another logger was not touched')
+  assert.strictEqual(await readFile(`${file}.txt`, 'utf8'), 'unrelated content', 'unrelated file was not touched')
   await stat(`${file}.3.log`)
-  content = await readFile(`${file}.3.log`, 'utf8')
+  let content = await readFile(`${file}.3.log`, 'utf8')
   assert.ok(content.includes('#3'), 'second file contains third log')
   await stat(`${file}.4.log`)
   content = await readFile(`${file}.4.log`, 'utf8')
@@ -461,6 +547,60 @@ it('remove pre-existing log files when removing files based on count when limit.
   assert.ok(messageCount >= 1, `at least 1 message should be present, found ${messageCount}`)
 })
 
+it('roll file manually', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ file })
+  const events = []
+  stream.on('roll', event => events.push(event))
+  stream.write('logged message #1\n')
+  await stream.roll()
+  stream.write('logged message #2\n')
+  await stream.roll()
+  stream.write('logged message #3\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), 'logged message #1\n', 'first file contains first log')
+  assert.strictEqual(await readFile(`${file}.2.log`, 'utf8'), 'logged message #2\n', 'second file contains second log')
+  assert.strictEqual(await readFile(`${file}.3.log`, 'utf8'), 'logged message #3\n', 'third file contains third log')
+  assert.deepStrictEqual(events, [
+    { previousFile: `${file}.1.log`, newFile: `${file}.2.log`, reason: 'manual' },
+    { previousFile: `${file}.2.log`, newFile: `${file}.3.log`, reason: 'manual' }
+  ], 'emits roll events')
+})
+
+it('emit roll event on size', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ file, size: '20b' })
+  stream.write('logged message #1 to roll\n')
+  const [event] = await once(stream, 'roll')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.deepStrictEqual(event, { previousFile: `${file}.1.log`, newFile: `${file}.2.log`, reason: 'size' }, 'emits roll event')
+})
+
+it('emit roll event on frequency', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ file, frequency: 100 })
+  const rolled = once(stream, 'roll')
+  // roll timer does not keep the process alive
+  await sleep(200)
+  const [event] = await rolled
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(event.reason, 'frequency', 'emits roll event with frequency reason')
+  assert.notStrictEqual(event.newFile, event.previousFile, 'emits roll event with new file')
+})
+
+it('reject manual roll on closed stream', async () => {
+  const stream = await buildStream({ file: join(logFolder, 'log') })
+  stream.end()
+  await once(stream, 'close')
+  await assert.rejects(stream.roll(), { message: 'Unable to roll a closed stream' }, 'rejects manual roll')
+})
+
 it('throw on missing file parameter', async () => {
   await assert.rejects(
     buildStream(),
@@ -532,6 +672,16 @@ it('throw when limit.count is 0', async () => {
   )
 })
 
+it('throw when limit.maxAge is not a duration', async () => {
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), limit: { maxAge: 'a while' } }),
+    {
+      message: 'a while is not a valid duration'
+    },
+    'throws on limit.maxAge not being a duration'
+  )
+})
+
 it('creates symlink if prop is set', { skip: process.platform === 'win32' }, async () => {
   const file = join(logFolder, 'log')
   const linkPath = join(logFolder, 'current.log')
@@ -636,3 +786,72 @@ it('symlink rotates on roll', { skip: process.platform === 'win32' }, async () =
   // Verify symlink points to one of the existing log files
   assert.ok(allFiles.includes(actualFile), 'symlink target should be one of the log files')
 })
+
+it('creates symlink with custom name and folder', { skip: process.platform === 'win32' }, async () => {
+  const file = join(logFolder, 'logs', 'api')
+  const dir = join(logFolder, 'links')
+  await mkdir(dir)
+  const stream = await buildStream({ file, mkdir: true, symlink: { name: 'api.log', dir } })
+  stream.write('test content\n')
+  await stream.roll()
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readlink(join(dir, 'api.log')), join('..', 'logs', 'api.2.log'), 'symlink relatively points to the rolled file')
+  assert.strictEqual(await readFile(join(dir, 'api.log'), 'utf8'), '', 'symlink reads current file')
+  await assert.rejects(lstat(join(logFolder, 'logs', 'current.log')), 'no default symlink created')
+})
+
+it('creates symlink with absolute target', { skip: process.platform === 'win32' }, async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ file, symlink: { relative: false } })
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readlink(join(logFolder, 'current.log')), `${file}.1.log`, 'symlink points to the absolute file path')
+})
+
+it('several loggers share a folder with symlinks', { skip: process.platform === 'win32' }, async () => {
+  const api = await buildStream({ file: join(logFolder, 'api'), symlink: { name: 'api.log' } })
+  const worker = await buildStream({ file: join(logFolder, 'worker'), symlink: { name: 'worker.log' } })
+  await api.roll()
+  await worker.roll()
+  await api.roll()
+  api.end()
+  worker.end()
+  await Promise.all([once(api, 'close'), once(worker, 'close')])
+
+  assert.strictEqual(await readlink(join(logFolder, 'api.log')), 'api.3.log', 'api symlink is up to date')
+  assert.strictEqual(await readlink(join(logFolder, 'worker.log')), 'worker.2.log', 'worker symlink is up to date')
+})
+
+it('does not replace symlink of another logger', { skip: process.platform === 'win32' }, async () => {
+  const linkPath = join(logFolder, 'current.log')
+  await writeFile(join(logFolder, 'worker.1.log'), '')
+  await symlink('worker.1.log', linkPath)
+  const stream = await buildStream({ file: join(logFolder, 'api'), symlink: true })
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readlink(linkPath), 'worker.1.log', 'symlink of other logger was kept')
+})
+
+it('replaces symlink to its own previous files', { skip: process.platform === 'win32' }, async () => {
+  const linkPath = join(logFolder, 'current.log')
+  const yesterday = format(new Date(Date.now() - 24 * 60 * 60 * 1000), 'yyyy-MM-dd')
+  await writeFile(join(logFolder, `api.${yesterday}.1.log`), '')
+  await symlink(`api.${yesterday}.1.log`, linkPath)
+  const stream = await buildStream({ file: join(logFolder, 'api'), frequency: 'daily', dateFormat: 'yyyy-MM-dd', symlink: true })
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readlink(linkPath), `api.${format(new Date(), 'yyyy-MM-dd')}.1.log`, 'symlink was replaced')
+})
+
+it('throw on invalid symlink options', async () => {
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), symlink: { name: join('links', 'current.log') } }),
+    { message: 'symlink.name must be a file name, without path separators' },
+    'throws on symlink name with path separator'
+  )
+})
@@ -0,0 +1,131 @@
+'use strict'
+
+const { once } = require('events')
+const { readFile } = require('fs/promises')
+const { join } = require('path')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+
+const {
+  buildStream,
+  createTempTestDir,
+  waitForFile
+} = require('./utils')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+// copies the rotated file given as argument next to it
+const copyScript = "require('fs').copyFileSync(process.argv[1], process.argv[1] + '.shipped')"
+
+it('call onRotate after each roll', async () => {
+  const file = join(logFolder, 'log')
+  let resolveRotate
+  const rotated = new Promise(resolve => { resolveRotate = resolve })
+  const stream = await buildStream({
+    file,
+    size: '10b',
+    onRotate: async (context) => resolveRotate({ ...context, content: await readFile(context.previousFile, 'utf8') })
+  })
+  stream.write('logged message #1\n')
+  const context = await rotated
+  stream.end()
+  await once(stream, 'close')
+
+  assert.deepStrictEqual(context, {
+    previousFile: `${file}.1.log`,
+    newFile: `${file}.2.log`,
+    reason: 'size',
+    content: 'logged message #1\n'
+  }, 'calls onRotate with the rotated file')
+})
+
+it('call onRotate with the compressed file', async () => {
+  const file = join(logFolder, 'log')
+  let resolveRotate
+  const rotated = new Promise(resolve => { resolveRotate = resolve })
+  const stream = await buildStream({ file, compress: 'gzip', onRotate: resolveRotate })
+  stream.write('logged message #1\n')
+  await stream.roll()
+  const { previousFile, reason } = await rotated
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(previousFile, `${file}.1.log.gz`, 'rotated file is compressed')
+  assert.strictEqual(reason, 'manual', 'reports reason')
+})
+
+it('emit onRotate errors and keep logging', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({
+    file,
+    onRotate: async () => { throw new Error('shipper is down') }
+  })
+  const failed = once(stream, 'post-rotate-error')
+  stream.write('logged message #1\n')
+  await stream.roll()
+  const [error] = await failed
+  stream.write('logged message #2\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(error.message, 'shipper is down', 'emits the error')
+  assert.strictEqual(await readFile(`${file}.2.log`, 'utf8'), 'logged message #2\n', 'keeps writing')
+})
+
+it('run postRotateCommand with the rotated file', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ file, postRotateCommand: [process.execPath, '-e', copyScript] })
+  stream.write('logged message #1\n')
+  await stream.roll()
+  await waitForFile(`${file}.1.log.shipped`)
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log.shipped`, 'utf8'), 'logged message #1\n', 'command received the rotated file')
+})
+
+it('emit postRotateCommand failures', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ file, postRotateCommand: [process.execPath, '-e', 'process.exit(3)'] })
+  const failed = once(stream, 'post-rotate-error')
+  stream.write('logged message #1\n')
+  await stream.roll()
+  const [error] = await failed
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(error.code, 3, 'emits the exit code')
+})
+
+it('go on with background work after postRotateTimeout', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({
+    file,
+    compress: 'gzip',
+    postRotateCommand: [process.execPath, '-e', 'setTimeout(() => {}, 10000)'],
+    postRotateTimeout: 100
+  })
+  const failed = once(stream, 'post-rotate-error')
+  stream.write('logged message #1\n')
+  await stream.roll()
+  const [error] = await failed
+  stream.write('logged message #2\n')
+  await stream.roll()
+  await once(stream, 'compress-complete')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(error.message, 'postRotateCommand timed out after 100ms', 'emits the timeout')
+  await waitForFile(`${file}.2.log.gz`)
+})
+
+it('throw on invalid hooks', async () => {
+  const file = join(logFolder, 'log')
+  await assert.rejects(buildStream({ file, onRotate: 'ship' }), /onRotate must be a function/, 'throws on invalid onRotate')
+  await assert.rejects(buildStream({ file, postRotateCommand: [] }), /postRotateCommand must be a non empty string or an array of non empty strings/, 'throws on invalid postRotateCommand')
+  await assert.rejects(buildStream({ file, postRotateCommand: 'ship-logs', postRotateTimeout: '-1s' }), /is not a valid duration/, 'throws on invalid postRotateTimeout')
+})
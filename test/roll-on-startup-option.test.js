@@ -0,0 +1,95 @@
+'use strict'
+
+const { once } = require('events')
+const { stat, readFile, writeFile } = require('fs/promises')
+const { join } = require('path')
+const { gunzipSync } = require('zlib')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+const { format } = require('date-fns')
+
+const {
+  buildStream,
+  createTempTestDir
+} = require('./utils')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+it('start a new file of the current period', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.1.log`, '--previous run--\n')
+  const stream = await buildStream({ frequency: 'daily', file, rollOnStartup: true })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), '--previous run--\n', 'previous file was not written')
+  assert.ok((await readFile(`${file}.2.log`, 'utf8')).includes('#1'), 'new file was created')
+})
+
+it('start a new file of the current period with date format', async () => {
+  const file = join(logFolder, 'log')
+  const fileName = `${file}.${format(new Date(), 'yyyy-MM-dd')}`
+  await writeFile(`${fileName}.1.log`, '--previous run--\n')
+  const stream = await buildStream({ frequency: 'daily', dateFormat: 'yyyy-MM-dd', file, rollOnStartup: true })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.ok((await readFile(`${fileName}.2.log`, 'utf8')).includes('#1'), 'new file was created')
+})
+
+it('reuse empty file of the current period', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.1.log`, '')
+  const stream = await buildStream({ frequency: 'daily', file, rollOnStartup: true })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.ok((await readFile(`${file}.1.log`, 'utf8')).includes('#1'), 'empty file was reused')
+  await assert.rejects(stat(`${file}.2.log`), 'no other files created')
+})
+
+it('apply limit and compression to the file of the previous run', async () => {
+  const file = join(logFolder, 'log')
+  for (let i = 1; i <= 3; i++) {
+    await writeFile(`${file}.${i}.log`, `--previous run #${i}--\n`)
+  }
+  const stream = await buildStream({ file, rollOnStartup: true, compress: 'gzip', limit: { count: 1 } })
+  await once(stream, 'cleanup-complete')
+  stream.end()
+  await once(stream, 'close')
+
+  await assert.rejects(stat(`${file}.1.log`), 'oldest file was removed')
+  await assert.rejects(stat(`${file}.2.log`), 'second file was removed')
+  assert.strictEqual(gunzipSync(await readFile(`${file}.3.log.gz`)).toString(), '--previous run #3--\n', 'previous file was compressed')
+  await stat(`${file}.4.log`)
+})
+
+it('rename active file of the previous run', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.log`, '--previous run--\n')
+  const stream = await buildStream({ file, mode: 'rename', rollOnStartup: true })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), '--previous run--\n', 'previous file was renamed')
+  assert.strictEqual(await readFile(`${file}.log`, 'utf8'), 'logged message #1\n', 'active file was created')
+})
+
+it('throw on invalid rollOnStartup', async () => {
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), rollOnStartup: 'yes' }),
+    /rollOnStartup must be a boolean/
+  )
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), mode: 'rename', shared: true, rollOnStartup: true }),
+    /shared can not be combined with rollOnStartup/
+  )
+})
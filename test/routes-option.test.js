@@ -0,0 +1,145 @@
+'use strict'
+
+const { once } = require('events')
+const { stat, readFile } = require('fs/promises')
+const { join } = require('path')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+
+const {
+  buildStream,
+  createTempTestDir,
+  sleep
+} = require('./utils')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+function line (level, msg) {
+  return `${JSON.stringify({ level, msg })}\n`
+}
+
+it('write lines into the route of their level', async () => {
+  const stream = await buildStream({
+    routes: {
+      error: { file: join(logFolder, 'error') },
+      default: { file: join(logFolder, 'app') }
+    }
+  })
+  stream.write(line(30, 'info'))
+  stream.write(line(50, 'error'))
+  stream.write(line('error', 'labelled error'))
+  stream.write(line(40, 'warn'))
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(join(logFolder, 'error.1.log'), 'utf8'), line(50, 'error') + line('error', 'labelled error'), 'error file contains error lines')
+  assert.strictEqual(await readFile(join(logFolder, 'app.1.log'), 'utf8'), line(30, 'info') + line(40, 'warn'), 'default file contains other lines')
+})
+
+it('split batches and partial lines between routes', async () => {
+  const stream = await buildStream({
+    routes: {
+      error: { file: join(logFolder, 'error') },
+      default: { file: join(logFolder, 'app') }
+    }
+  })
+  const data = line(30, 'info #1') + line(50, 'error') + line(30, 'info #2')
+  stream.write(data.slice(0, 40))
+  stream.write(data.slice(40))
+  stream.end(line(50, 'last'))
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(join(logFolder, 'error.1.log'), 'utf8'), line(50, 'error') + line(50, 'last'), 'error file contains error lines')
+  assert.strictEqual(await readFile(join(logFolder, 'app.1.log'), 'utf8'), line(30, 'info #1') + line(30, 'info #2'), 'default file contains other lines')
+})
+
+it('drop lines without route', async () => {
+  const stream = await buildStream({ routes: { warn: { file: join(logFolder, 'warn') } } })
+  stream.write(line(30, 'info'))
+  stream.write(line(40, 'warn'))
+  stream.write('not json\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(join(logFolder, 'warn.1.log'), 'utf8'), line(40, 'warn'), 'warn file only contains warn lines')
+})
+
+it('route custom levels by value', async () => {
+  const stream = await buildStream({
+    routes: {
+      35: { file: join(logFolder, 'audit') },
+      default: { file: join(logFolder, 'app') }
+    }
+  })
+  stream.write(line(35, 'audit'))
+  stream.write(line(30, 'info'))
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(join(logFolder, 'audit.1.log'), 'utf8'), line(35, 'audit'), 'audit file contains custom level')
+  assert.strictEqual(await readFile(join(logFolder, 'app.1.log'), 'utf8'), line(30, 'info'), 'default file contains other lines')
+})
+
+it('apply route options over shared options', async () => {
+  const stream = await buildStream({
+    fileNamePattern: '{base}-{number}{ext}',
+    size: '1k',
+    routes: {
+      error: { file: join(logFolder, 'error'), size: '10b' },
+      default: { file: join(logFolder, 'app') }
+    }
+  })
+  stream.write(line(50, 'error #1'))
+  const [event, route] = await once(stream, 'roll')
+  stream.write(line(50, 'error #2'))
+  stream.write(line(30, 'info'))
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(route, 'error', 'roll event includes the route name')
+  assert.strictEqual(event.newFile, join(logFolder, 'error-2.log'), 'roll event comes from the error route')
+  assert.strictEqual(await readFile(join(logFolder, 'error-2.log'), 'utf8'), line(50, 'error #2'), 'error route rolled on its own size')
+  assert.strictEqual(await readFile(join(logFolder, 'app-1.log'), 'utf8'), line(30, 'info'), 'default route uses shared pattern')
+  await assert.rejects(stat(join(logFolder, 'app-2.log')), 'default route did not roll')
+})
+
+it('roll all routes on frequency and manually', async () => {
+  const frequency = 100
+  const stream = await buildStream({
+    frequency,
+    routes: {
+      error: { file: join(logFolder, 'error') },
+      default: { file: join(logFolder, 'app') }
+    }
+  })
+  const routes = []
+  stream.on('roll', (event, route) => routes.push(`${route}:${event.reason}`))
+  await sleep(frequency + 50)
+  await stream.roll()
+  stream.end()
+  await once(stream, 'close')
+
+  for (const route of ['error', 'default']) {
+    assert.ok(routes.includes(`${route}:frequency`), `${route} route rolled on frequency`)
+    assert.ok(routes.includes(`${route}:manual`), `${route} route rolled manually`)
+  }
+})
+
+it('throw on invalid routes', async () => {
+  await assert.rejects(buildStream({ routes: {} }), /routes must be a non empty object/, 'throws on empty routes')
+  await assert.rejects(buildStream({ routes: { error: 'error.log' } }), /routes.error must be an object/, 'throws on invalid route')
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'app'), routes: { error: {}, default: {} } }),
+    /routes.error and routes.default can not write into the same file/,
+    'throws on routes sharing a file'
+  )
+  await assert.rejects(
+    buildStream({ stateFile: join(logFolder, 'state.json'), routes: { error: { file: join(logFolder, 'error') }, default: { file: join(logFolder, 'app') } } }),
+    /routes.error and routes.default can not write into the same stateFile/,
+    'throws on routes sharing a state file'
+  )
+})
@@ -0,0 +1,95 @@
+'use strict'
+
+const { once } = require('events')
+const { stat, readFile, readdir } = require('fs/promises')
+const { join } = require('path')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+
+const {
+  buildStream,
+  createTempTestDir,
+  sleep
+} = require('./utils')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+it('only one stream rolls a shared file on size', async () => {
+  const file = join(logFolder, 'log')
+  const first = await buildStream({ size: '20b', file, shared: true })
+  const second = await buildStream({ size: '20b', file, shared: true })
+  let secondRolls = 0
+  second.on('roll', () => secondRolls++)
+
+  first.write('logged message #1\n')
+  second.write('logged message #2\n')
+  first.write('logged message #3\n')
+  await once(first, 'roll')
+  second.write('logged message #4\n')
+  // second stream reached its size too, and joins the file opened by the first one
+  await once(second, 'ready')
+  second.write('logged message #5\n')
+  first.write('logged message #6\n')
+  first.end()
+  second.end()
+  await Promise.all([once(first, 'close'), once(second, 'close')])
+
+  assert.strictEqual(secondRolls, 0, 'second stream did not roll')
+  const content = await readFile(`${file}.2.log`, 'utf8')
+  assert.ok(content.includes('#5'), 'second file contains logs of second stream')
+  assert.ok(content.includes('#6'), 'second file contains logs of first stream')
+  await assert.rejects(stat(`${file}.3.log`), 'no other files created')
+  await assert.rejects(stat(`${file}.log.lock`), 'lock was released')
+})
+
+it('join a shared file rolled by another stream', async () => {
+  const file = join(logFolder, 'log')
+  const first = await buildStream({ size: '20b', file, shared: true })
+  const second = await buildStream({ size: '100b', file, shared: true })
+
+  first.write('logged message #1\n')
+  first.write('logged message #2\n')
+  await once(first, 'roll')
+  // second stream checks regularly whether the file was rolled
+  await sleep(1200)
+  second.write('logged message #3\n')
+  first.end()
+  second.end()
+  await Promise.all([once(first, 'close'), once(second, 'close')])
+
+  assert.ok((await readFile(`${file}.2.log`, 'utf8')).includes('#3'), 'second stream writes into the new file')
+  assert.deepStrictEqual((await readdir(logFolder)).sort(), ['log.1.log', 'log.2.log'], 'no other files created')
+})
+
+it('join a shared file renamed by another stream', async () => {
+  const file = join(logFolder, 'log')
+  const first = await buildStream({ file, mode: 'rename', shared: true })
+  const second = await buildStream({ file, mode: 'rename', shared: true })
+
+  first.write('logged message #1\n')
+  second.write('logged message #2\n')
+  await sleep(20)
+  await first.roll()
+  await sleep(1200)
+  second.write('logged message #3\n')
+  first.end()
+  second.end()
+  await Promise.all([once(first, 'close'), once(second, 'close')])
+
+  const content = await readFile(`${file}.1.log`, 'utf8')
+  assert.ok(content.includes('#1'), 'renamed file contains logs of first stream')
+  assert.ok(content.includes('#2'), 'renamed file contains logs of second stream')
+  assert.ok((await readFile(`${file}.log`, 'utf8')).includes('#3'), 'second stream writes into the new active file')
+  assert.deepStrictEqual((await readdir(logFolder)).sort(), ['log.1.log', 'log.log'], 'no other files created')
+})
+
+it('throw on invalid shared option', async () => {
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), shared: 'yes' }),
+    /shared must be a boolean/
+  )
+})
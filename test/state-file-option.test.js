@@ -0,0 +1,146 @@
+'use strict'
+
+const { once } = require('events')
+const { stat, readFile, writeFile } = require('fs/promises')
+const { join } = require('path')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+
+const {
+  buildStream,
+  createTempTestDir,
+  sleep
+} = require('./utils')
+
+let logFolder
+let stateFile
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+  stateFile = join(logFolder, 'state.json')
+})
+
+async function readState () {
+  return JSON.parse(await readFile(stateFile, 'utf8'))
+}
+
+it('save state on startup and after each roll', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ size: '20b', file, stateFile, limit: { count: 5 } })
+  await sleep(20)
+  assert.deepStrictEqual(await readState(), {
+    fileName: `${file}.1.log`,
+    number: 1,
+    periodStart: null,
+    createdFileNames: [`${file}.1.log`],
+    pendingArchives: []
+  }, 'saves initial state')
+
+  stream.write('logged message #1\n')
+  stream.write('logged message #2\n')
+  await once(stream, 'roll')
+  stream.end()
+  await once(stream, 'close')
+  await sleep(20)
+  assert.deepStrictEqual(await readState(), {
+    fileName: `${file}.2.log`,
+    number: 2,
+    periodStart: null,
+    createdFileNames: [`${file}.1.log`, `${file}.2.log`],
+    pendingArchives: []
+  }, 'saves state after roll')
+})
+
+it('do not track created files without limit', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ size: '20b', file, stateFile })
+  stream.write('logged message #1\n')
+  stream.write('logged message #2\n')
+  await once(stream, 'roll')
+  stream.end()
+  await once(stream, 'close')
+  await sleep(20)
+  assert.deepStrictEqual(await readState(), {
+    fileName: `${file}.2.log`,
+    number: 2,
+    periodStart: null,
+    createdFileNames: [],
+    pendingArchives: []
+  }, 'saves state without created files')
+})
+
+it('resume numbering from state file', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.3.log`, '')
+  await writeFile(stateFile, JSON.stringify({ fileName: `${file}.7.log`, number: 7, periodStart: null, createdFileNames: [`${file}.7.log`] }))
+  const stream = await buildStream({ size: '100b', file, stateFile })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.ok((await readFile(`${file}.7.log`, 'utf8')).includes('#1'), 'resumes file from state')
+  assert.strictEqual(await readFile(`${file}.3.log`, 'utf8'), '', 'ignores folder content')
+})
+
+it('resume numbering from state file in a new period', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(stateFile, JSON.stringify({ fileName: `${file}.4.log`, number: 4, periodStart: 0, createdFileNames: [`${file}.4.log`] }))
+  const stream = await buildStream({ frequency: 'daily', file, stateFile })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.ok((await readFile(`${file}.5.log`, 'utf8')).includes('#1'), 'writes into next file')
+  await assert.rejects(stat(`${file}.1.log`), 'does not restart numbering')
+})
+
+it('apply limit to files created before restart', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.1.log`, 'logged message #1\n')
+  await writeFile(`${file}.2.log`, 'logged message #2\n')
+  await writeFile(`${file}.3.log`, 'logged message #3\n')
+  await writeFile(stateFile, JSON.stringify({ fileName: `${file}.3.log`, number: 3, periodStart: null, createdFileNames: [`${file}.2.log`, `${file}.3.log`] }))
+  const stream = await buildStream({ size: '20b', file, stateFile, limit: { count: 1 } })
+  stream.write('logged message #4\n')
+  await once(stream, 'cleanup-complete')
+  stream.end()
+  await once(stream, 'close')
+  await sleep(20)
+
+  await stat(`${file}.1.log`)
+  await assert.rejects(stat(`${file}.2.log`), 'removes file created before restart')
+  await stat(`${file}.3.log`)
+  await stat(`${file}.4.log`)
+  assert.deepStrictEqual((await readState()).createdFileNames, [`${file}.3.log`, `${file}.4.log`], 'saves created files')
+})
+
+it('scan folder when state file is corrupt', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.3.log`, '')
+  await writeFile(stateFile, '{"fileName":')
+  const stream = await buildStream({ size: '100b', file, stateFile })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.ok((await readFile(`${file}.3.log`, 'utf8')).includes('#1'), 'resumes last file of folder')
+})
+
+it('scan folder when state file belongs to another file', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.3.log`, '')
+  await writeFile(stateFile, JSON.stringify({ fileName: join(logFolder, 'other.7.log'), number: 7, periodStart: null, createdFileNames: [] }))
+  const stream = await buildStream({ size: '100b', file, stateFile })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.ok((await readFile(`${file}.3.log`, 'utf8')).includes('#1'), 'resumes last file of folder')
+})
+
+it('throw on invalid stateFile', async () => {
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), stateFile: '' }),
+    /stateFile must be a non empty string/
+  )
+})
@@ -0,0 +1,101 @@
+'use strict'
+
+const { once } = require('events')
+const { stat, writeFile } = require('fs/promises')
+const { join } = require('path')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+
+const { formatMetrics } = require('..')
+const {
+  buildStream,
+  createTempTestDir
+} = require('./utils')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+it('report bytes written and current file', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.1.log`, 'previous run\n')
+  const stream = await buildStream({ file })
+  stream.write('logged message #1\n')
+  stream.end()
+  await once(stream, 'close')
+  const stats = stream.stats()
+
+  assert.strictEqual(stats.bytesWritten, 18, 'counts bytes written by the stream')
+  assert.strictEqual(stats.file, `${file}.1.log`, 'reports current file')
+  assert.strictEqual(stats.fileSize, 31, 'includes existing content in file size')
+  assert.ok(stats.fileAge >= 0, 'reports file age')
+  assert.deepStrictEqual(stats.rolls, { startup: 0, size: 0, lines: 0, frequency: 0, manual: 0 }, 'reports no rolls')
+})
+
+it('report rolls by reason and removed files', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ file, size: '20b', limit: { count: 1 } })
+  stream.write('logged message #1 above size\n')
+  await once(stream, 'cleanup-complete')
+  stream.write('logged message #2\n')
+  await stream.roll()
+  await once(stream, 'cleanup-complete')
+  stream.write('logged message #3\n')
+  stream.end()
+  await once(stream, 'close')
+  const stats = stream.stats()
+
+  assert.deepStrictEqual(stats.rolls, { startup: 0, size: 1, lines: 0, frequency: 0, manual: 1 }, 'counts rolls by reason')
+  assert.strictEqual(stats.removedFiles, 1, 'counts removed files')
+  assert.strictEqual(stats.cleanupFailures, 0, 'reports no failures')
+  assert.strictEqual(stats.bytesWritten, 65, 'counts bytes of all files')
+  assert.strictEqual(stats.file, `${file}.3.log`, 'reports new file')
+  assert.strictEqual(stats.fileSize, (await stat(`${file}.3.log`)).size, 'resets file size on roll')
+})
+
+it('report rolls on startup', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.1.log`, 'previous run\n')
+  const stream = await buildStream({ file, rollOnStartup: true })
+  const stats = stream.stats()
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(stats.rolls.startup, 1, 'counts roll on startup')
+  assert.strictEqual(stats.file, `${file}.2.log`, 'reports new file')
+  assert.strictEqual(stats.fileSize, 0, 'reports empty file')
+})
+
+it('report stats of each route', async () => {
+  const stream = await buildStream({
+    routes: {
+      error: { file: join(logFolder, 'error') },
+      default: { file: join(logFolder, 'app') }
+    }
+  })
+  stream.write('{"level":50,"msg":"error"}\n')
+  stream.write('{"level":30,"msg":"info"}\n')
+  stream.end()
+  await once(stream, 'close')
+  const stats = stream.stats()
+  const metrics = formatMetrics(stream, { labels: { service: 'api' } }).split('\n')
+
+  assert.deepStrictEqual(Object.keys(stats), ['error', 'default'], 'reports stats by route')
+  assert.strictEqual(stats.error.bytesWritten, 27, 'reports bytes of error route')
+  assert.strictEqual(stats.default.bytesWritten, 26, 'reports bytes of default route')
+  assert.ok(metrics.includes('pino_roll_bytes_written_total{service="api",route="error"} 27'), 'exports metrics of error route')
+  assert.ok(metrics.includes('pino_roll_bytes_written_total{service="api",route="default"} 26'), 'exports metrics of default route')
+})
+
+it('report stats of open partitions', async () => {
+  const stream = await buildStream({ file: join(logFolder, 'app.log'), partitionBy: 'tenant' })
+  stream.write('{"tenant":"acme","msg":"hello"}\n')
+  stream.end()
+  await once(stream, 'close')
+  const stats = stream.stats()
+
+  assert.deepStrictEqual([...stats.keys()], ['acme'], 'reports stats by partition key')
+  assert.strictEqual(stats.get('acme').bytesWritten, 32, 'reports bytes of partition')
+})
@@ -0,0 +1,103 @@
+'use strict'
+
+const { once } = require('events')
+const { stat, readFile, writeFile } = require('fs/promises')
+const { join } = require('path')
+const { it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+
+const {
+  buildStream,
+  createTempTestDir,
+  sleep
+} = require('./utils')
+
+let logFolder
+
+beforeEach(() => {
+  logFolder = createTempTestDir()
+})
+
+it('roll before a write exceeding size', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ size: '40b', strictSize: true, file })
+  stream.write('logged message #1\n')
+  stream.write('logged message #2\n')
+  stream.write('logged message #3\n')
+  const [event] = await once(stream, 'roll')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(event.reason, 'size', 'reports reason')
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), 'logged message #1\nlogged message #2\n', 'first file does not exceed size')
+  assert.strictEqual(await readFile(`${file}.2.log`, 'utf8'), 'logged message #3\n', 'second file contains third line')
+})
+
+it('split batches of lines between files', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ size: '40b', strictSize: true, file })
+  let content = ''
+  for (let i = 1; i <= 9; i++) {
+    content += `logged message #${i}\n`
+  }
+  stream.write(content)
+  stream.end()
+  await once(stream, 'close')
+
+  for (let number = 1; number <= 5; number++) {
+    const fileContent = await readFile(`${file}.${number}.log`, 'utf8')
+    assert.ok(fileContent.length <= 40, `file #${number} does not exceed size`)
+    assert.ok(fileContent.endsWith('\n'), `file #${number} ends with a complete line`)
+  }
+  assert.strictEqual(await readFile(`${file}.5.log`, 'utf8'), 'logged message #9\n', 'last file contains last line')
+  await assert.rejects(stat(`${file}.6.log`), 'no other files created')
+})
+
+it('never split lines with buffered writes', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ size: '40b', strictSize: true, minLength: 30, file })
+  for (let i = 1; i <= 5; i++) {
+    stream.write(`logged message #${i}\n`)
+    await sleep(5)
+  }
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), 'logged message #1\nlogged message #2\n', 'first file contains two lines')
+  assert.strictEqual(await readFile(`${file}.2.log`, 'utf8'), 'logged message #3\nlogged message #4\n', 'second file contains two lines')
+  assert.strictEqual(await readFile(`${file}.3.log`, 'utf8'), 'logged message #5\n', 'third file contains last line')
+})
+
+it('write alone a line larger than size', async () => {
+  const file = join(logFolder, 'log')
+  const stream = await buildStream({ size: '20b', strictSize: true, file })
+  stream.write('short message\n')
+  stream.write('a message larger than the size\n')
+  stream.write('short message\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), 'short message\n', 'first file contains first line')
+  assert.strictEqual(await readFile(`${file}.2.log`, 'utf8'), 'a message larger than the size\n', 'second file contains large line only')
+  assert.strictEqual(await readFile(`${file}.3.log`, 'utf8'), 'short message\n', 'third file contains last line')
+})
+
+it('take the size of the reused file into account', async () => {
+  const file = join(logFolder, 'log')
+  await writeFile(`${file}.1.log`, 'previous message #1\n')
+  const stream = await buildStream({ size: '40b', strictSize: true, file })
+  stream.write('logged message #1\n')
+  stream.write('logged message #2\n')
+  stream.end()
+  await once(stream, 'close')
+
+  assert.strictEqual(await readFile(`${file}.1.log`, 'utf8'), 'previous message #1\nlogged message #1\n', 'first file was completed')
+  assert.strictEqual(await readFile(`${file}.2.log`, 'utf8'), 'logged message #2\n', 'second file was created')
+})
+
+it('throw on strictSize without size', async () => {
+  await assert.rejects(
+    buildStream({ file: join(logFolder, 'log'), strictSize: true }),
+    /strictSize requires size/
+  )
+})